@@ -0,0 +1,142 @@
+import { toApiError, NotFoundError, ACCOUNT_ERROR_CODES } from './errors.js';
+import { SESSION_STATUS } from './session_monitor.js';
+
+/**
+ * Named pools of registered accounts for reads where it does not matter which account
+ * is logged in. Each read goes to the healthiest, least recently used account of the
+ * pool and fails over to the next one when an account is rate limited or locked out.
+ * Pools and per-account usage are kept in the account_pools collection.
+ */
+export class AccountPools {
+    // How long an account that was rate limited or locked out is tried after the others
+    static BACKOFF_MS = 15 * 60 * 1000;
+
+    constructor(twitterHelper, accountStore, sessionMonitor) {
+        this.client = twitterHelper.client;
+        this.rateLimiter = twitterHelper.rateLimiter;
+        this.accounts = accountStore;
+        this.sessions = sessionMonitor;
+        this.collectionName = 'account_pools';
+    }
+
+    toPublic({ _id, accountIds, usage = {}, createdAt, updatedAt }) {
+        return { name: _id, accountIds, usage, createdAt, updatedAt };
+    }
+
+    // Create a pool or replace its accounts; usage of accounts that stay in the pool is kept
+    async save({ name, accountIds }) {
+        const registered = new Set((await this.accounts.list()).map(account => account.accountId));
+        const unknown = accountIds.filter(accountId => !registered.has(accountId));
+        if (unknown.length > 0) {
+            throw new NotFoundError(`Accounts not found: ${unknown.join(', ')}`);
+        }
+
+        const collection = await this.client.getCollection(this.collectionName);
+        const now = new Date();
+        await collection.updateOne(
+            { _id: name },
+            {
+                $set: { accountIds: [...new Set(accountIds)], updatedAt: now },
+                $setOnInsert: { usage: {}, createdAt: now }
+            },
+            { upsert: true }
+        );
+        return this.get(name);
+    }
+
+    async list() {
+        const collection = await this.client.getCollection(this.collectionName);
+        const documents = await collection.find({}).sort({ createdAt: 1 }).toArray();
+        return documents.map(document => this.toPublic(document));
+    }
+
+    async get(name) {
+        const collection = await this.client.getCollection(this.collectionName);
+        const document = await collection.findOne({ _id: name });
+        return document ? this.toPublic(document) : null;
+    }
+
+    async remove(name) {
+        const collection = await this.client.getCollection(this.collectionName);
+        const result = await collection.deleteOne({ _id: name });
+        return result.deletedCount > 0;
+    }
+
+    /**
+     * Order the pool's accounts from most to least preferred: working sessions that were
+     * not recently limited first, least recently used first
+     * @param {Object} pool - Pool as returned by get()
+     * @param {(username: string) => boolean} [allowed] - Accounts the caller may use
+     * @returns {Promise<Array<{accountId: string, username: string}>>}
+     */
+    async candidates(pool, allowed = () => true) {
+        const inPool = new Set(pool.accountIds);
+        const accounts = (await this.accounts.list())
+            .filter(account => inPool.has(account.accountId) && allowed(account.username));
+        const now = Date.now();
+
+        const ranked = await Promise.all(accounts.map(async ({ accountId, username }) => {
+            const usage = pool.usage[username] || {};
+            const session = await this.sessions.get(username);
+            const limitedAt = usage.lastLimitedAt ? new Date(usage.lastLimitedAt).getTime() : 0;
+            const backingOff = now - limitedAt < AccountPools.BACKOFF_MS || await this.rateLimiter.pausedFor(username) > 0;
+
+            let rank = 0;
+            if (session?.status === SESSION_STATUS.FAILED) rank = 2;
+            else if (backingOff) rank = 1;
+
+            return {
+                accountId,
+                username,
+                rank,
+                // Within the backoff, the account limited longest ago is tried first
+                order: rank === 1 ? limitedAt : new Date(usage.lastUsedAt || 0).getTime()
+            };
+        }));
+
+        return ranked
+            .sort((a, b) => a.rank - b.rank || a.order - b.order)
+            .map(({ accountId, username }) => ({ accountId, username }));
+    }
+
+    async recordUsage(name, username, fields) {
+        const collection = await this.client.getCollection(this.collectionName);
+        const update = Object.fromEntries(Object.entries(fields).map(([field, value]) => [`usage.${username}.${field}`, value]));
+        await collection.updateOne({ _id: name }, { $set: update });
+    }
+
+    /**
+     * Run a read with the best account of the pool, failing over to the next account
+     * when one is rate limited, logged out or suspended
+     * @param {Object} pool - Pool as returned by get()
+     * @param {(credentials: Object) => Promise<*>} read - Read to run with an account's credentials
+     * @param {Object} [options]
+     * @param {(username: string) => boolean} [options.allowed] - Accounts the caller may use
+     * @returns {Promise<{result: *, username: string}>}
+     */
+    async run(pool, read, { allowed } = {}) {
+        const candidates = await this.candidates(pool, allowed);
+        if (candidates.length === 0) {
+            throw new NotFoundError(`Pool ${pool.name} has no usable accounts`);
+        }
+
+        let lastError;
+        for (const { accountId, username } of candidates) {
+            const credentials = await this.accounts.resolveCredentials(accountId);
+            if (!credentials) continue;
+
+            await this.recordUsage(pool.name, username, { lastUsedAt: new Date() });
+            try {
+                return { result: await read(credentials), username };
+            } catch (error) {
+                const { code } = toApiError(error);
+                if (!ACCOUNT_ERROR_CODES.includes(code)) throw error;
+
+                console.error(`Pool ${pool.name}: ${username} failed with ${code}, trying the next account`);
+                await this.recordUsage(pool.name, username, { lastLimitedAt: new Date(), lastErrorCode: code });
+                lastError = error;
+            }
+        }
+        throw lastError || new NotFoundError(`Pool ${pool.name} has no usable accounts`);
+    }
+}
@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+
+// Fields that are encrypted at rest
+const SECRET_FIELDS = ['password', 'email', 'twoFactorSecret'];
+
+/**
+ * Server-side registry of Twitter accounts.
+ * Credentials are stored encrypted (AES-256-GCM) and referenced by an opaque accountId,
+ * so callers never need to send raw passwords with each request.
+ */
+export class AccountStore {
+    constructor(twitterClient) {
+        this.client = twitterClient;
+        this.collectionName = 'accounts';
+    }
+
+    getEncryptionKey() {
+        const secret = process.env.ACCOUNTS_ENCRYPTION_KEY;
+        if (!secret) {
+            throw new Error('ACCOUNTS_ENCRYPTION_KEY is not configured');
+        }
+        // Derive a fixed-length key so any secret string can be used
+        return crypto.createHash('sha256').update(secret).digest();
+    }
+
+    encrypt(value) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+        const encrypted = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+        return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+    }
+
+    decrypt(value) {
+        const [iv, authTag, encrypted] = value.split(':').map(part => Buffer.from(part, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+        decipher.setAuthTag(authTag);
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    }
+
+    // Strip encrypted fields before returning an account to callers
+    toPublic(document) {
+        return {
+            accountId: document._id,
+            username: document.username,
+            hasEmail: Boolean(document.email),
+            hasTwoFactorSecret: Boolean(document.twoFactorSecret),
+            createdAt: document.createdAt,
+            updatedAt: document.updatedAt
+        };
+    }
+
+    async register({ username, password, email, twoFactorSecret }) {
+        const collection = await this.client.getCollection(this.collectionName);
+        const secrets = { password, email, twoFactorSecret };
+
+        const encrypted = {};
+        for (const field of SECRET_FIELDS) {
+            encrypted[field] = secrets[field] ? this.encrypt(secrets[field]) : null;
+        }
+
+        // Re-registering a username updates its credentials but keeps the same handle
+        const existing = await collection.findOne({ username });
+        const accountId = existing?._id || `acc_${crypto.randomBytes(12).toString('hex')}`;
+        const now = new Date();
+
+        await collection.updateOne(
+            { _id: accountId },
+            {
+                $set: { username, ...encrypted, updatedAt: now },
+                $setOnInsert: { createdAt: now }
+            },
+            { upsert: true }
+        );
+
+        // Credentials changed, so any cached session for this user may be stale
+        if (existing) {
+            this.client.forgetSession(username);
+        }
+
+        return this.toPublic(await collection.findOne({ _id: accountId }));
+    }
+
+    async list() {
+        const collection = await this.client.getCollection(this.collectionName);
+        const documents = await collection.find({}).sort({ createdAt: 1 }).toArray();
+        return documents.map(document => this.toPublic(document));
+    }
+
+    async get(accountId) {
+        const collection = await this.client.getCollection(this.collectionName);
+        const document = await collection.findOne({ _id: accountId });
+        return document ? this.toPublic(document) : null;
+    }
+
+    async remove(accountId) {
+        const collection = await this.client.getCollection(this.collectionName);
+        const document = await collection.findOneAndDelete({ _id: accountId });
+        if (!document) return false;
+
+        // Also drop the stored session so the account cannot be used any more
+        const cookies = await this.client.getCollection(this.client.collectionName);
+        await cookies.deleteOne({ _id: document.username });
+        this.client.forgetSession(document.username);
+        return true;
+    }
+
+    // Resolve a handle into the credentials object the helpers expect
+    async resolveCredentials(accountId) {
+        const collection = await this.client.getCollection(this.collectionName);
+        const document = await collection.findOne({ _id: accountId });
+        if (!document) return null;
+
+        const credentials = { username: document.username };
+        for (const field of SECRET_FIELDS) {
+            if (document[field]) {
+                credentials[field] = this.decrypt(document[field]);
+            }
+        }
+        return credentials;
+    }
+}
@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import { ValidationError } from './errors.js';
+
+// Route groups an API key can be granted
+export const ROUTE_GROUPS = ['read', 'post', 'admin'];
+
+// Wildcard that grants access to every Twitter username
+export const ALL_USERNAMES = '*';
+
+/**
+ * API keys for the REST service.
+ * Only a SHA-256 hash of each key is stored; the plain key is returned once on creation.
+ * Each key is scoped to a set of Twitter usernames and route groups.
+ */
+export class ApiKeyStore {
+    constructor(twitterClient) {
+        this.client = twitterClient;
+        this.collectionName = 'api_keys';
+    }
+
+    static hashKey(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    // Strip the hash before returning a key to callers
+    toPublic(document) {
+        return {
+            id: document._id,
+            name: document.name,
+            usernames: document.usernames,
+            groups: document.groups,
+            createdAt: document.createdAt,
+            lastUsedAt: document.lastUsedAt || null
+        };
+    }
+
+    async create({ name, usernames = [ALL_USERNAMES], groups = ['read'] }) {
+        // A key scoped to no usernames, or to a non-string, could never be used as intended
+        if (!Array.isArray(usernames) || usernames.length === 0
+            || usernames.some(username => typeof username !== 'string' || !username.replace('@', '').trim())) {
+            throw new ValidationError('usernames must be a non-empty array of strings');
+        }
+        if (!Array.isArray(groups) || groups.some(group => !ROUTE_GROUPS.includes(group))) {
+            throw new ValidationError(`groups must be a subset of: ${ROUTE_GROUPS.join(', ')}`);
+        }
+
+        const collection = await this.client.getCollection(this.collectionName);
+        const key = `xk_${crypto.randomBytes(24).toString('hex')}`;
+        const document = {
+            _id: `key_${crypto.randomBytes(8).toString('hex')}`,
+            name: name || null,
+            keyHash: ApiKeyStore.hashKey(key),
+            usernames: usernames.map(username => username.replace('@', '').trim().toLowerCase()),
+            groups,
+            createdAt: new Date()
+        };
+
+        await collection.createIndex({ keyHash: 1 }, { unique: true });
+        await collection.insertOne(document);
+        return { ...this.toPublic(document), key };
+    }
+
+    async list() {
+        const collection = await this.client.getCollection(this.collectionName);
+        const documents = await collection.find({}).sort({ createdAt: 1 }).toArray();
+        return documents.map(document => this.toPublic(document));
+    }
+
+    async revoke(id) {
+        const collection = await this.client.getCollection(this.collectionName);
+        const result = await collection.deleteOne({ _id: id });
+        return result.deletedCount > 0;
+    }
+
+    async authenticate(key) {
+        const adminKey = process.env.ADMIN_API_KEY;
+        const keyHash = ApiKeyStore.hashKey(key);
+
+        // The bootstrap admin key from the environment is never stored
+        if (adminKey && crypto.timingSafeEqual(Buffer.from(keyHash), Buffer.from(ApiKeyStore.hashKey(adminKey)))) {
+            return { id: 'admin', name: 'ADMIN_API_KEY', usernames: [ALL_USERNAMES], groups: ROUTE_GROUPS };
+        }
+
+        const collection = await this.client.getCollection(this.collectionName);
+        const document = await collection.findOneAndUpdate(
+            { keyHash },
+            { $set: { lastUsedAt: new Date() } }
+        );
+        return document ? this.toPublic(document) : null;
+    }
+}
+
+/**
+ * Whether /api routes require an API key: when REQUIRE_API_KEY is true, and always once an
+ * ADMIN_API_KEY or the account registry (ACCOUNTS_ENCRYPTION_KEY) is configured, so that
+ * stored accounts and keys are never reachable without one
+ * @returns {boolean}
+ */
+export const apiKeysRequired = () => process.env.REQUIRE_API_KEY === 'true'
+    || Boolean(process.env.ADMIN_API_KEY)
+    || Boolean(process.env.ACCOUNTS_ENCRYPTION_KEY);
+
+export const keyAllowsGroup = (apiKey, group) => apiKey.groups.includes(group);
+
+// Usernames that are not strings never match, so callers cannot be tripped by malformed input
+export const keyAllowsUsername = (apiKey, username) => {
+    return apiKey.usernames.includes(ALL_USERNAMES)
+        || (typeof username === 'string' && apiKey.usernames.includes(username.replace('@', '').toLowerCase()));
+};
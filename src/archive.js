@@ -0,0 +1,399 @@
+import { ValidationError } from './errors.js';
+
+export const EXPORT_FORMATS = ['jsonl', 'csv'];
+
+// Tweet ids are too large for Number, so compare them as BigInt
+const isNewer = (id, newestId) => !newestId || BigInt(id) > BigInt(newestId);
+
+const CSV_COLUMNS = [
+    ['id', tweet => tweet.id],
+    ['url', tweet => tweet.url],
+    ['createdAt', tweet => tweet.createdAt],
+    ['authorId', tweet => tweet.author?.id],
+    ['authorUsername', tweet => tweet.author?.username],
+    ['text', tweet => tweet.text],
+    ['lang', tweet => tweet.lang],
+    ['likes', tweet => tweet.metrics?.likes],
+    ['retweets', tweet => tweet.metrics?.retweets],
+    ['replies', tweet => tweet.metrics?.replies],
+    ['quotes', tweet => tweet.metrics?.quotes],
+    ['bookmarks', tweet => tweet.metrics?.bookmarks],
+    ['views', tweet => tweet.metrics?.views],
+    ['isReply', tweet => tweet.isReply],
+    ['isRetweet', tweet => tweet.isRetweet],
+    ['isQuote', tweet => tweet.isQuote],
+    ['replyToId', tweet => tweet.replyTo?.id],
+    ['quotedTweetId', tweet => tweet.quotedTweetId],
+    ['retweetedTweetId', tweet => tweet.retweetedTweetId],
+    ['hashtags', tweet => tweet.entities?.hashtags?.join(' ')],
+    ['mediaUrls', tweet => tweet.media?.map(item => item.url).filter(Boolean).join(' ')],
+    ['firstSeenAt', tweet => tweet.firstSeenAt],
+    ['lastSeenAt', tweet => tweet.lastSeenAt]
+];
+
+// RFC 4180: quote fields with separators, quotes or line breaks, doubling inner quotes
+const csvField = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => `${values.map(csvField).join(',')}\r\n`;
+
+/**
+ * Page cursors for archived tweets point at the last tweet returned, newest first
+ */
+const encodeArchiveCursor = (tweet) =>
+    Buffer.from(JSON.stringify({ createdAt: tweet.createdAt.toISOString(), id: tweet._id })).toString('base64url');
+
+const decodeArchiveCursor = (value) => {
+    try {
+        const { createdAt, id } = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+        const date = new Date(createdAt);
+        if (typeof id === 'string' && !isNaN(date.getTime())) {
+            return { createdAt: date, id };
+        }
+    } catch {
+        // Fall through to the validation error
+    }
+    throw new ValidationError('Invalid archive cursor');
+};
+
+/**
+ * Keeps every tweet ever seen on the timelines of archived accounts in the tweets
+ * collection, keyed by tweet id, with the history of their metrics. Each run first reads
+ * the newest pages until it reaches tweets it already has, refreshing their metrics, then
+ * continues the backfill of older tweets from where the previous run stopped.
+ */
+export class TweetArchive {
+    static ARCHIVE_INTERVAL_MS = 60 * 60 * 1000;
+    static POLL_INTERVAL_MS = 5 * 60 * 1000;
+    static PAGE_SIZE = 100;
+    // Pages read per run for new tweets, and again for the backfill
+    static MAX_PAGES_PER_RUN = 5;
+    static MAX_METRICS_HISTORY = 500;
+    static DEFAULT_LIMIT = 50;
+    static MAX_LIMIT = 200;
+
+    constructor(twitterHelper, accountStore) {
+        this.helper = twitterHelper;
+        this.client = twitterHelper.client;
+        this.rateLimiter = twitterHelper.rateLimiter;
+        this.accounts = accountStore;
+        this.archiveCollection = 'archives';
+        this.tweetCollection = 'tweets';
+        this.archiveIntervalMs = Number(process.env.ARCHIVE_INTERVAL_MS) || TweetArchive.ARCHIVE_INTERVAL_MS;
+        this.timer = null;
+        this.running = false;
+    }
+
+    toPublic({ _id, ...archive }) {
+        return { userId: _id, ...archive };
+    }
+
+    async archive({ userId, accountId, username }) {
+        const collection = await this.client.getCollection(this.archiveCollection);
+        const tweets = await this.client.getCollection(this.tweetCollection);
+        await tweets.createIndex({ userId: 1, createdAt: -1, _id: -1 });
+
+        const now = new Date();
+        await collection.updateOne(
+            { _id: userId },
+            {
+                $set: { accountId, username, updatedAt: now },
+                $setOnInsert: {
+                    newestId: null,
+                    forwardCursor: null,
+                    forwardNewestId: null,
+                    backfillCursor: null,
+                    backfillDone: false,
+                    nextRunAt: now,
+                    createdAt: now
+                }
+            },
+            { upsert: true }
+        );
+        return this.get(userId);
+    }
+
+    // Stop archiving; archived tweets are kept unless purge is set
+    async remove(userId, { purge = false } = {}) {
+        const collection = await this.client.getCollection(this.archiveCollection);
+        const result = await collection.deleteOne({ _id: userId });
+        if (purge) {
+            const tweets = await this.client.getCollection(this.tweetCollection);
+            await tweets.deleteMany({ userId });
+        }
+        return result.deletedCount > 0;
+    }
+
+    async get(userId) {
+        const collection = await this.client.getCollection(this.archiveCollection);
+        const document = await collection.findOne({ _id: userId });
+        if (!document) return null;
+
+        const tweets = await this.client.getCollection(this.tweetCollection);
+        return { ...this.toPublic(document), tweetCount: await tweets.countDocuments({ userId }) };
+    }
+
+    /**
+     * List archives, optionally only those run by the given usernames
+     * @param {Object} [filter]
+     * @param {string[]} [filter.usernames]
+     */
+    async list({ usernames } = {}) {
+        const collection = await this.client.getCollection(this.archiveCollection);
+        const query = usernames ? { username: { $in: usernames } } : {};
+        const documents = await collection.find(query).sort({ createdAt: 1 }).toArray();
+        return documents.map(document => this.toPublic(document));
+    }
+
+    /**
+     * Insert new tweets and update the ones already archived, recording their metrics
+     * whenever they changed
+     * @param {string} userId - Archived account
+     * @param {Object[]} items - Normalized tweets of one timeline page
+     */
+    async store(userId, items) {
+        if (items.length === 0) return;
+        const collection = await this.client.getCollection(this.tweetCollection);
+        const existing = new Map((await collection
+            .find({ _id: { $in: items.map(tweet => tweet.id) } }, { projection: { metrics: 1 } })
+            .toArray()).map(document => [document._id, document.metrics]));
+        const now = new Date();
+
+        await collection.bulkWrite(items.map(({ id, createdAt, ...tweet }) => {
+            const changed = JSON.stringify(existing.get(id)) !== JSON.stringify(tweet.metrics);
+            return {
+                updateOne: {
+                    filter: { _id: id },
+                    update: {
+                        $set: { ...tweet, userId, createdAt: createdAt ? new Date(createdAt) : null, lastSeenAt: now },
+                        $setOnInsert: { firstSeenAt: now },
+                        ...(changed && {
+                            $push: { metricsHistory: { $each: [{ at: now, ...tweet.metrics }], $slice: -TweetArchive.MAX_METRICS_HISTORY } }
+                        })
+                    },
+                    upsert: true
+                }
+            };
+        }), { ordered: false });
+    }
+
+    /**
+     * Read the timeline from the newest tweet until a tweet already archived is reached,
+     * then carry on with the backfill of older tweets.
+     *
+     * newestId only moves once the scan for new tweets has reached it. A scan that runs out
+     * of pages keeps its cursor in forwardCursor and the newest id it saw in forwardNewestId,
+     * and the next run carries on from there, so no tweets are skipped between the two.
+     * @returns {Promise<{ fetched: number, backfillDone: boolean }>}
+     */
+    async update(credentials, archive) {
+        const read = (cursor) => this.helper.getUserTweets(credentials, archive._id, TweetArchive.PAGE_SIZE, cursor, { noCache: true });
+        let fetched = 0;
+        let { newestId, backfillCursor, backfillDone } = archive;
+        let forwardCursor = archive.forwardCursor || null;
+        let forwardNewestId = archive.forwardNewestId || null;
+
+        // New tweets, which also refreshes the metrics of the latest ones when starting from the top
+        for (let pages = 0; pages < TweetArchive.MAX_PAGES_PER_RUN; pages++) {
+            const page = await read(forwardCursor || undefined);
+            await this.store(archive._id, page.items);
+            fetched += page.items.length;
+
+            // A pinned tweet sits at the top whatever its age, so it says nothing about where the scan is
+            const unpinned = page.items.filter(tweet => !tweet.isPinned);
+            for (const tweet of unpinned) {
+                if (isNewer(tweet.id, forwardNewestId)) forwardNewestId = tweet.id;
+            }
+
+            // The first run starts the backfill where the first page ends
+            const firstRun = !newestId && !backfillCursor && !backfillDone;
+            const reachedArchived = firstRun || unpinned.some(tweet => !isNewer(tweet.id, newestId));
+            if (firstRun) {
+                backfillCursor = page.nextCursor;
+                backfillDone = !page.nextCursor || page.items.length === 0;
+            }
+            if (reachedArchived || !page.nextCursor || page.items.length === 0) {
+                if (forwardNewestId && isNewer(forwardNewestId, newestId)) newestId = forwardNewestId;
+                forwardCursor = null;
+                forwardNewestId = null;
+                break;
+            }
+            forwardCursor = page.nextCursor;
+        }
+
+        // Older tweets, from where the last backfill stopped
+        for (let pages = 0; !backfillDone && pages < TweetArchive.MAX_PAGES_PER_RUN; pages++) {
+            const page = await read(backfillCursor);
+            await this.store(archive._id, page.items);
+            fetched += page.items.length;
+            backfillCursor = page.nextCursor;
+            backfillDone = !page.nextCursor || page.items.length === 0;
+        }
+
+        const collection = await this.client.getCollection(this.archiveCollection);
+        await collection.updateOne(
+            { _id: archive._id },
+            {
+                $set: {
+                    newestId,
+                    forwardCursor,
+                    forwardNewestId,
+                    backfillCursor,
+                    backfillDone,
+                    lastRunAt: new Date(),
+                    lastError: null
+                }
+            }
+        );
+        return { fetched, backfillDone };
+    }
+
+    /**
+     * Archived tweets matching every given filter, as the query for find()
+     * @param {string} userId
+     * @param {Object} filter
+     * @param {Date} [filter.from] - Tweets created at or after this time
+     * @param {Date} [filter.to] - Tweets created before this time
+     * @param {string} [filter.text] - Case-insensitive text the tweet contains
+     */
+    query(userId, { from, to, text } = {}) {
+        return {
+            userId,
+            ...((from || to) && { createdAt: { ...(from && { $gte: from }), ...(to && { $lt: to }) } }),
+            ...(text && { text: { $regex: text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' } })
+        };
+    }
+
+    // Archived tweet in the normalized shape with when it was first and last seen
+    toTweet({ _id, userId, metricsHistory, createdAt, ...tweet }, withHistory = false) {
+        return {
+            id: _id,
+            ...tweet,
+            createdAt: createdAt?.toISOString() ?? null,
+            ...(withHistory && { metricsHistory: metricsHistory || [] })
+        };
+    }
+
+    /**
+     * A page of archived tweets, newest first
+     * @returns {Promise<{ items: Object[], nextCursor: string|null }>}
+     */
+    async search(userId, filter, { limit = TweetArchive.DEFAULT_LIMIT, cursor } = {}) {
+        const collection = await this.client.getCollection(this.tweetCollection);
+        const query = this.query(userId, filter);
+        if (cursor) {
+            const after = decodeArchiveCursor(cursor);
+            query.$and = [{
+                $or: [
+                    { createdAt: { $lt: after.createdAt } },
+                    { createdAt: after.createdAt, _id: { $lt: after.id } }
+                ]
+            }];
+        }
+
+        const documents = await collection
+            .find(query, { projection: { metricsHistory: 0 } })
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(limit + 1)
+            .toArray();
+        const items = documents.slice(0, limit);
+        return {
+            items: items.map(document => this.toTweet(document)),
+            nextCursor: documents.length > limit ? encodeArchiveCursor(items[items.length - 1]) : null
+        };
+    }
+
+    async getTweet(userId, tweetId) {
+        const collection = await this.client.getCollection(this.tweetCollection);
+        const document = await collection.findOne({ _id: tweetId, userId });
+        return document ? this.toTweet(document, true) : null;
+    }
+
+    /**
+     * Write every matching tweet to a writable stream, oldest first, pausing while the
+     * stream's buffer is full so large archives are never held in memory
+     * @param {string} userId
+     * @param {Object} filter - See query()
+     * @param {'jsonl'|'csv'} format - JSON lines with metric history, or CSV with current metrics
+     * @param {import('stream').Writable} output
+     */
+    async export(userId, filter, format, output) {
+        const collection = await this.client.getCollection(this.tweetCollection);
+        // Resolves once the chunk is buffered, or the client went away
+        const write = (chunk) => {
+            if (output.write(chunk)) return undefined;
+            return new Promise(resolve => {
+                const done = () => {
+                    output.off('drain', done);
+                    output.off('close', done);
+                    resolve();
+                };
+                output.on('drain', done);
+                output.on('close', done);
+            });
+        };
+
+        if (format === 'csv') {
+            await write(csvRow(CSV_COLUMNS.map(([name]) => name)));
+        }
+        const documents = collection.find(this.query(userId, filter)).sort({ createdAt: 1, _id: 1 });
+        for await (const document of documents) {
+            if (output.destroyed) break;
+            const tweet = this.toTweet(document, format === 'jsonl');
+            await write(format === 'csv'
+                ? csvRow(CSV_COLUMNS.map(([, value]) => value(tweet)))
+                : `${JSON.stringify(tweet)}\n`);
+        }
+    }
+
+    // Atomically claim an archive that is due, pushing its next run forward
+    async claimNext() {
+        const collection = await this.client.getCollection(this.archiveCollection);
+        const now = new Date();
+        return collection.findOneAndUpdate(
+            { nextRunAt: { $lte: now } },
+            { $set: { nextRunAt: new Date(now.getTime() + this.archiveIntervalMs) } },
+            { sort: { nextRunAt: 1 } }
+        );
+    }
+
+    async runOnce() {
+        if (this.running) return;
+        this.running = true;
+        try {
+            let archive;
+            while ((archive = await this.claimNext())) {
+                const collection = await this.client.getCollection(this.archiveCollection);
+                try {
+                    const credentials = await this.accounts.resolveCredentials(archive.accountId);
+                    if (!credentials) {
+                        throw new Error(`Account ${archive.accountId} not found`);
+                    }
+                    await this.update(credentials, archive);
+                } catch (error) {
+                    console.error(`Error archiving tweets of ${archive._id}:`, error.message);
+                    await this.rateLimiter.recordError(archive.username, error);
+                    await collection.updateOne({ _id: archive._id }, { $set: { lastRunAt: new Date(), lastError: error.message } });
+                }
+            }
+        } catch (error) {
+            console.error('Error running tweet archive:', error.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    start(intervalMs = TweetArchive.POLL_INTERVAL_MS) {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.runOnce(), intervalMs);
+        console.log(`Tweet archive running every ${intervalMs}ms`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
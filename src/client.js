@@ -1,5 +1,15 @@
 import { Scraper } from 'agent-twitter-client';
 import { MongoClient } from 'mongodb';
+import { createStorage, databaseConfigured } from './storage.js';
+import {
+    toApiError,
+    AuthenticationError,
+    RateLimitError,
+    SuspendedAccountError,
+    UpstreamTimeoutError,
+    UpstreamError,
+    DatabaseRequiredError
+} from './errors.js';
 
 export class TwitterClient {
     static instances = {};
@@ -10,10 +20,15 @@ export class TwitterClient {
         this.dbName = 'x-api';
         this.collectionName = 'cookies';
         this.mongoClient = null;
+        this.storage = createStorage(this);
     }
 
     // Initialize MongoDB connection
     async initMongoClient() {
+        // The memory and file drivers run without MongoDB unless MONGO_CONNECTION is also set
+        if (!databaseConfigured()) {
+            throw new DatabaseRequiredError(`This feature is stored in MongoDB; set MONGO_CONNECTION to use it with STORAGE_DRIVER=${process.env.STORAGE_DRIVER}`);
+        }
         if (!this.mongoClient) {
             this.mongoClient = new MongoClient(this.mongoUri, {
                 serverSelectionTimeoutMS: 5000,
@@ -32,6 +47,18 @@ export class TwitterClient {
         return this.mongoClient;
     }
 
+    // Get a collection from the service database, connecting if needed
+    async getCollection(name) {
+        const mongoClient = await this.initMongoClient();
+        return mongoClient.db(this.dbName).collection(name);
+    }
+
+    // Drop any session state held in memory for a user
+    forgetSession(username) {
+        delete TwitterClient.instances[username];
+        delete TwitterClient.cookies[username];
+    }
+
     async getClient(credentials) {
         const { username, password, email, twoFactorSecret, cookies } = credentials;
         let lastError = null;
@@ -55,8 +82,8 @@ export class TwitterClient {
                 return this.saveClientAndReturn(username, client);
             }
 
-            // 3. MongoDB cookies
-            if (await this.tryMongoCookies(client, username)) {
+            // 3. Stored cookies (MongoDB, file, ... per STORAGE_DRIVER)
+            if (await this.tryStoredCookies(client, username)) {
                 return this.saveClientAndReturn(username, client);
             }
 
@@ -85,7 +112,16 @@ export class TwitterClient {
                     errorMessage = lastError.message;
                 }
             }
-            throw new Error(`Failed to authenticate: ${errorMessage}`);
+
+            // Keep rate limits, suspensions and Twitter outages distinguishable from bad credentials;
+            // any other error code Twitter returns during login means the credentials were rejected
+            const upstream = lastError ? toApiError(lastError) : null;
+            const isOutage = upstream instanceof UpstreamError && !upstream.details?.errors;
+            if (isOutage || [RateLimitError, SuspendedAccountError, UpstreamTimeoutError].some(type => upstream instanceof type)) {
+                upstream.message = `Failed to authenticate: ${errorMessage}`;
+                throw upstream;
+            }
+            throw new AuthenticationError(`Failed to authenticate: ${errorMessage}`, upstream?.details);
         } catch (error) {
             console.error('Error in getClient:', error.message);
             throw error;
@@ -136,23 +172,18 @@ export class TwitterClient {
         return false;
     }
 
-    async tryMongoCookies(client, username) {
-        let mongoClient = null;
+    async tryStoredCookies(client, username) {
         try {
-            mongoClient = await this.initMongoClient();
-            const db = mongoClient.db(this.dbName);
-            const collection = db.collection(this.collectionName);
-
-            const document = await collection.findOne({ _id: username });
-            if (document?.cookies) {
-                await this.setCookiesOnClient(client, document.cookies);
+            const cookies = await this.storage.getCookies(username);
+            if (cookies) {
+                await this.setCookiesOnClient(client, cookies);
                 if (await client.isLoggedIn()) {
-                    TwitterClient.cookies[username] = document.cookies; // Cache in memory
+                    TwitterClient.cookies[username] = cookies; // Cache in memory
                     return true;
                 }
             }
         } catch (error) {
-            console.error('Failed to use MongoDB cookies:', error.message);
+            console.error('Failed to use stored cookies:', error.message);
         }
         return false;
     }
@@ -173,21 +204,12 @@ export class TwitterClient {
         }
     }
 
+    // Persisting cookies is best effort: the session is still usable from memory
     async saveCookies(username, cookies) {
-        let mongoClient = null;
         try {
-            mongoClient = await this.initMongoClient();
-            const db = mongoClient.db(this.dbName);
-            const collection = db.collection(this.collectionName);
-
-            await collection.updateOne(
-                { _id: username },
-                { $set: { cookies, updatedAt: new Date() } },
-                { upsert: true }
-            );
+            await this.storage.saveCookies(username, cookies);
         } catch (error) {
             console.error(`Failed to save cookies: ${error.message}`);
-            throw error;
         }
     }
 
@@ -205,51 +227,66 @@ export class TwitterClient {
         await client.setCookies(cookieStrings);
     }
 
+    // Logged-in session from memory or stored cookies, without falling back to a fresh login
+    async getStoredSession(username) {
+        if (await this.tryExistingClient(username)) {
+            return TwitterClient.instances[username];
+        }
+        const client = new Scraper();
+        if (await this.tryInMemoryCookies(client, username) || await this.tryStoredCookies(client, username)) {
+            return this.saveClientAndReturn(username, client);
+        }
+        return null;
+    }
+
+    // Log in again and replace the session's cookies, even if the current ones still work
+    async refreshSession({ username, password, email, twoFactorSecret }) {
+        const client = new Scraper();
+        if (!await this.tryFreshLogin(client, username, password, email, twoFactorSecret)) {
+            throw new AuthenticationError(`Failed to refresh session for ${username}`);
+        }
+        return this.saveClientAndReturn(username, client);
+    }
+
     saveClientAndReturn(username, client) {
         TwitterClient.instances[username] = client;
         return client;
     }
 
-    async getCachedData(key, type, cacheDurationMs = 43200000) { // default 12 hours
+    // Get a raw cache entry ({ data, timestamp, expiresAt }) whatever its age
+    async getCacheEntry(key, type) {
         try {
-            const mongoClient = await this.initMongoClient();
-            const db = mongoClient.db(this.dbName);
-            const collection = db.collection('twitter_cache');
-            
-            const cacheEntry = await collection.findOne({ _id: `${type}_${key}` });
-            
-            if (!cacheEntry) return null;
-            
-            // Check if cache is still valid using passed duration
-            const cacheAge = Date.now() - cacheEntry.timestamp;
-            if (cacheAge > cacheDurationMs) return null;
-            
-            return cacheEntry.data;
+            return await this.storage.getCache(type, key);
         } catch (error) {
             console.error('Error getting cached data:', error.message);
             return null;
         }
     }
 
-    async setCachedData(key, type, data, cacheDurationMs = 43200000) { // default 12 hours
+    async getCachedData(key, type, cacheDurationMs = 43200000) { // default 12 hours
+        const cacheEntry = await this.getCacheEntry(key, type);
+        if (!cacheEntry) return null;
+
+        // Check if cache is still valid using passed duration
+        const cacheAge = Date.now() - cacheEntry.timestamp;
+        if (cacheAge > cacheDurationMs) return null;
+
+        return cacheEntry.data;
+    }
+
+    // account is the Twitter account whose session fetched the data, used to purge by account;
+    // subject is the user, tweet or query a paged key belongs to, used to purge by key
+    async setCachedData(key, type, data, cacheDurationMs = 43200000, account, subject = key) { // default 12 hours
         try {
-            const mongoClient = await this.initMongoClient();
-            const db = mongoClient.db(this.dbName);
-            const collection = db.collection('twitter_cache');
-            
-            await collection.updateOne(
-                { _id: `${type}_${key}` },
-                {
-                    $set: {
-                        data,
-                        timestamp: Date.now(),
-                        expiresAt: Date.now() + cacheDurationMs
-                    }
-                },
-                { upsert: true }
-            );
+            await this.storage.setCache(type, key, {
+                data,
+                subject,
+                timestamp: Date.now(),
+                expiresAt: Date.now() + cacheDurationMs,
+                ...(account && { account })
+            });
         } catch (error) {
             console.error('Error setting cached data:', error.message);
         }
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,136 @@
+import { ValidationError } from './errors.js';
+
+export const DEFAULT_REPLY_DEPTH = 3;
+export const MAX_REPLY_DEPTH = 10;
+
+// Reply depths carried from page to page, so later pages can place replies to earlier ones
+const MAX_CURSOR_DEPTHS = 1000;
+
+// Tweet ids are too large for Number, so compare them as BigInt
+const byId = (a, b) => (BigInt(a.id) < BigInt(b.id) ? -1 : 1);
+
+/**
+ * Conversation cursors carry the root and its self-thread along with Twitter's cursor,
+ * and the depths of replies that later replies may answer, so later pages can place
+ * replies in the tree without fetching the root again
+ */
+export const encodeConversationCursor = ({ rootId, threadIds, depths, cursor }) =>
+    Buffer.from(JSON.stringify({ rootId, threadIds, depths, cursor })).toString('base64url');
+
+export const decodeConversationCursor = (value) => {
+    try {
+        const state = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+        if (typeof state.rootId === 'string' && Array.isArray(state.threadIds) && typeof state.cursor === 'string') {
+            return { ...state, depths: state.depths && typeof state.depths === 'object' ? state.depths : {} };
+        }
+    } catch {
+        // Fall through to the validation error
+    }
+    throw new ValidationError('Invalid conversation cursor');
+};
+
+/**
+ * The root author's replies to themself, starting at the root, in order
+ * @param {Object} root - Normalized root tweet
+ * @param {Object[]} tweets - Normalized tweets of the page
+ * @returns {string[]} - Ids of the root and its self-thread
+ */
+const selfThread = (root, tweets) => {
+    const threadIds = [root.id];
+    for (let last = root; ;) {
+        const [next] = tweets
+            .filter(tweet => tweet.replyTo?.id === last.id && tweet.author.id === root.author.id)
+            .sort(byId);
+        if (!next) return threadIds;
+        threadIds.push(next.id);
+        last = next;
+    }
+};
+
+/**
+ * Depths of the tweets of a page below the root and its self-thread
+ * @param {Object[]} tweets - Normalized tweets of the page
+ * @param {Object} options
+ * @param {string} options.rootId - Conversation id
+ * @param {string[]} [options.threadIds] - Root and self-thread ids from an earlier page
+ * @param {Object<string, number>} [options.depths] - Depths of replies from earlier pages, by id
+ * @returns {{ threadSet: Set<string>, depthOf: (tweetId: string) => number|null }} - null when the reply's parent is unknown
+ */
+export const conversationDepths = (tweets, { rootId, threadIds, depths: known = {} }) => {
+    const byTweetId = new Map(tweets.map(tweet => [tweet.id, tweet]));
+    const root = byTweetId.get(rootId);
+    const threadSet = new Set(threadIds || (root ? selfThread(root, [...byTweetId.values()]) : [rootId]));
+
+    const depths = new Map();
+    const depthOf = (tweetId) => {
+        if (threadSet.has(tweetId)) return 0;
+        if (depths.has(tweetId)) return depths.get(tweetId);
+        const tweet = byTweetId.get(tweetId);
+        if (!tweet) return known[tweetId] ?? null;
+
+        // Guards against reply loops while the parent's depth is worked out
+        depths.set(tweetId, null);
+        const parentDepth = tweet.replyTo?.id ? depthOf(tweet.replyTo.id) : null;
+        const depth = parentDepth === null ? null : parentDepth + 1;
+        depths.set(tweetId, depth);
+        return depth;
+    };
+    return { threadSet, depthOf };
+};
+
+/**
+ * Arrange a page of normalized tweets as the root, its self-thread and a reply tree.
+ * Nodes are tweets with parentId, childIds (children in this page) and depth, where the
+ * root and its self-thread are depth 0 and replies to them depth 1. Replies whose parent
+ * is in neither this page nor an earlier one have no known depth and are left out.
+ * @param {Object[]} tweets - Normalized tweets of one TweetDetail page on the root
+ * @param {Object} options
+ * @param {string} options.rootId - Conversation id
+ * @param {string[]} [options.threadIds] - Root and self-thread ids from an earlier page
+ * @param {Object<string, number>} [options.depths] - Depths of replies from earlier pages, by id
+ * @param {number} options.maxDepth - Deepest reply level to include
+ * @param {string} [options.next] - Twitter's cursor for the next page
+ * @returns {{ conversationId: string, root: Object|null, thread: Object[], items: Object[], nextCursor: string|null }}
+ */
+export const buildConversation = (tweets, { rootId, threadIds, depths = {}, maxDepth, next }) => {
+    const byTweetId = new Map(tweets.map(tweet => [tweet.id, tweet]));
+    const unique = [...byTweetId.values()];
+    const root = byTweetId.get(rootId);
+    const { threadSet, depthOf: depthOfId } = conversationDepths(unique, { rootId, threadIds, depths });
+    const depthOf = (tweet) => depthOfId(tweet.id);
+
+    const included = unique.filter(tweet => {
+        // Tweets from other conversations, such as recommendations, are left out
+        if (tweet.conversationId && tweet.conversationId !== rootId) return false;
+        const depth = depthOf(tweet);
+        return depth !== null && depth <= maxDepth;
+    });
+    const includedIds = new Set(included.map(tweet => tweet.id));
+
+    // Replies above maxDepth may still be answered on later pages; the most recent are kept
+    const nextDepths = () => {
+        const carried = { ...depths };
+        for (const tweet of included) {
+            const depth = depthOf(tweet);
+            if (depth > 0 && depth < maxDepth) carried[tweet.id] = depth;
+        }
+        return Object.fromEntries(Object.entries(carried).slice(-MAX_CURSOR_DEPTHS));
+    };
+
+    const toNode = (tweet) => ({
+        ...tweet,
+        parentId: tweet.id === rootId ? null : tweet.replyTo?.id ?? null,
+        childIds: included.filter(child => child.replyTo?.id === tweet.id && child.id !== rootId).sort(byId).map(child => child.id),
+        depth: depthOf(tweet)
+    });
+
+    return {
+        conversationId: rootId,
+        root: root ? toNode(root) : null,
+        thread: [...threadSet]
+            .filter(id => id !== rootId && includedIds.has(id))
+            .map(id => toNode(byTweetId.get(id))),
+        items: included.filter(tweet => !threadSet.has(tweet.id)).map(toNode),
+        nextCursor: next ? encodeConversationCursor({ rootId, threadIds: [...threadSet], depths: nextDepths(), cursor: next }) : null
+    };
+};
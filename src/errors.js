@@ -0,0 +1,285 @@
+/**
+ * Typed errors shared by the helpers and routes. Each error carries the HTTP status
+ * to answer with and a stable machine-readable code; errors raised by Twitter also
+ * carry the upstream status and error list in `details`.
+ */
+
+export class ApiError extends Error {
+    constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            code: this.code,
+            ...(this.details !== undefined && { details: this.details })
+        };
+    }
+}
+
+export class ValidationError extends ApiError {
+    constructor(message, details) {
+        super(message, { status: 400, code: 'INVALID_REQUEST', details });
+        this.name = 'ValidationError';
+    }
+}
+
+// Missing or invalid API key
+export class UnauthorizedError extends ApiError {
+    constructor(message) {
+        super(message, { status: 401, code: 'UNAUTHORIZED' });
+        this.name = 'UnauthorizedError';
+    }
+}
+
+// Twitter rejected the credentials or the session
+export class AuthenticationError extends ApiError {
+    constructor(message, details) {
+        super(message, { status: 401, code: 'AUTH_FAILED', details });
+        this.name = 'AuthenticationError';
+    }
+}
+
+export class ForbiddenError extends ApiError {
+    constructor(message) {
+        super(message, { status: 403, code: 'FORBIDDEN' });
+        this.name = 'ForbiddenError';
+    }
+}
+
+export class NotFoundError extends ApiError {
+    constructor(message, details) {
+        super(message, { status: 404, code: 'NOT_FOUND', details });
+        this.name = 'NotFoundError';
+    }
+}
+
+export class ConflictError extends ApiError {
+    constructor(message) {
+        super(message, { status: 409, code: 'CONFLICT' });
+        this.name = 'ConflictError';
+    }
+}
+
+// The logged-in account is suspended, so another account may still succeed
+export class SuspendedAccountError extends ApiError {
+    constructor(message, details) {
+        super(message, { status: 403, code: 'ACCOUNT_SUSPENDED', details });
+        this.name = 'SuspendedAccountError';
+    }
+}
+
+// The user a request is about is suspended; the logged-in account is fine
+export class SuspendedUserError extends ApiError {
+    constructor(message, details) {
+        super(message, { status: 404, code: 'USER_SUSPENDED', details });
+        this.name = 'SuspendedUserError';
+    }
+}
+
+export class ProtectedAccountError extends ApiError {
+    constructor(message, details) {
+        super(message, { status: 403, code: 'ACCOUNT_PROTECTED', details });
+        this.name = 'ProtectedAccountError';
+    }
+}
+
+export class RateLimitError extends ApiError {
+    /**
+     * @param {string} message
+     * @param {Object} [details]
+     * @param {number} [retryAfter] - Seconds until the limit resets, sent as Retry-After
+     */
+    constructor(message, details, retryAfter) {
+        super(message, { status: 429, code: 'RATE_LIMITED', details });
+        this.name = 'RateLimitError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+export class UpstreamTimeoutError extends ApiError {
+    constructor(message, details) {
+        super(message, { status: 504, code: 'UPSTREAM_TIMEOUT', details });
+        this.name = 'UpstreamTimeoutError';
+    }
+}
+
+// The feature is kept in MongoDB, which the configured storage driver runs without
+export class DatabaseRequiredError extends ApiError {
+    constructor(message) {
+        super(message, { status: 503, code: 'DATABASE_REQUIRED' });
+        this.name = 'DatabaseRequiredError';
+    }
+}
+
+// Twitter failed in a way none of the other errors describe
+export class UpstreamError extends ApiError {
+    constructor(message, details) {
+        super(message, { status: 502, code: 'UPSTREAM_ERROR', details });
+        this.name = 'UpstreamError';
+    }
+}
+
+// HTTP status of each error code, for answering with an error code that was stored
+export const ERROR_STATUS = {
+    INTERNAL_ERROR: 500,
+    INVALID_REQUEST: 400,
+    INVALID_MEDIA: 400,
+    UNAUTHORIZED: 401,
+    AUTH_FAILED: 401,
+    FORBIDDEN: 403,
+    NOT_FOUND: 404,
+    CONFLICT: 409,
+    ACCOUNT_SUSPENDED: 403,
+    USER_SUSPENDED: 404,
+    ACCOUNT_PROTECTED: 403,
+    RATE_LIMITED: 429,
+    UPSTREAM_TIMEOUT: 504,
+    UPSTREAM_ERROR: 502,
+    DATABASE_REQUIRED: 503
+};
+
+export const ERROR_CODES = Object.keys(ERROR_STATUS);
+
+// Errors that belong to the logged-in account rather than the request, so another account
+// may succeed. USER_SUSPENDED is about the target user and fails the same way on every account.
+export const ACCOUNT_ERROR_CODES = ['RATE_LIMITED', 'AUTH_FAILED', 'ACCOUNT_SUSPENDED'];
+
+// Twitter API error codes and the errors they map to
+const TWITTER_ERROR_CODES = {
+    32: AuthenticationError,   // Could not authenticate you
+    89: AuthenticationError,   // Invalid or expired token
+    215: AuthenticationError,  // Bad authentication data
+    326: AuthenticationError,  // Account temporarily locked
+    353: AuthenticationError,  // Token mismatch
+    34: NotFoundError,         // Page does not exist
+    50: NotFoundError,         // User not found
+    144: NotFoundError,        // No status found with that ID
+    63: SuspendedUserError,    // User has been suspended
+    64: SuspendedAccountError, // Your account is suspended
+    179: ProtectedAccountError, // Not authorized to see this status
+    88: RateLimitError         // Rate limit exceeded
+};
+
+const HTTP_STATUSES = {
+    401: AuthenticationError,
+    404: NotFoundError,
+    408: UpstreamTimeoutError,
+    429: RateLimitError,
+    504: UpstreamTimeoutError
+};
+
+// Seconds until an x-rate-limit-reset timestamp (epoch seconds)
+const secondsUntilReset = (headers) => {
+    const reset = Number(headers?.get?.('x-rate-limit-reset'));
+    return reset ? Math.max(0, Math.ceil(reset - Date.now() / 1000)) : undefined;
+};
+
+// Parse a response body that may be JSON; returns the raw text otherwise
+const parseBody = (body) => {
+    if (typeof body !== 'string') return body;
+    try {
+        return JSON.parse(body);
+    } catch {
+        return body;
+    }
+};
+
+/**
+ * Build a typed error from a Twitter response
+ * @param {Object} upstream
+ * @param {number} [upstream.status] - HTTP status Twitter answered with
+ * @param {Object|string} [upstream.body] - Response body, e.g. { errors: [{ code, message }] }
+ * @param {Headers} [upstream.headers] - Response headers, used for rate limit resets
+ * @returns {ApiError}
+ */
+export const twitterError = ({ status, body, headers } = {}) => {
+    const parsed = parseBody(body);
+    const errors = Array.isArray(parsed?.errors)
+        ? parsed.errors.map(({ code, message: errorMessage }) => ({ code, message: errorMessage }))
+        : [];
+
+    const details = {
+        ...(status && { upstreamStatus: status }),
+        ...(errors.length > 0 ? { errors } : typeof parsed === 'string' && parsed && { body: parsed.slice(0, 500) })
+    };
+    const ErrorType = errors.map(error => TWITTER_ERROR_CODES[error.code]).find(Boolean)
+        || HTTP_STATUSES[status]
+        || UpstreamError;
+    const errorMessage = errors[0]?.message || `Twitter responded with status ${status}`;
+
+    if (ErrorType === RateLimitError) {
+        return new RateLimitError(errorMessage, details, secondsUntilReset(headers));
+    }
+    return new ErrorType(errorMessage, details);
+};
+
+// Message fragments agent-twitter-client uses for errors it raises without a response
+const MESSAGE_PATTERNS = [
+    [/your account (is|has been) suspended/i, SuspendedAccountError],
+    [/suspended/i, SuspendedUserError],
+    [/not found|does not exist/i, NotFoundError],
+    [/protected|is private|not authorized to see/i, ProtectedAccountError],
+    [/rate limit/i, RateLimitError],
+    [/timed? ?out|ETIMEDOUT/i, UpstreamTimeoutError],
+    [/fetch failed|failed to perform request|ECONNRESET|ECONNREFUSED|ENOTFOUND/i, UpstreamError],
+    [/not logged-in|must be logged in|authentication required|failed to authenticate/i, AuthenticationError]
+];
+
+/**
+ * Convert any error into an ApiError, classifying errors raised by agent-twitter-client
+ * @param {Error} error - Error to convert; ApiErrors are returned unchanged
+ * @param {string} [context] - Prefix for the message, e.g. 'Failed to fetch profile'
+ * @returns {ApiError}
+ */
+export const toApiError = (error, context) => {
+    if (error instanceof ApiError) {
+        return error;
+    }
+
+    const message = context ? `${context}: ${error.message}` : error.message;
+
+    // agent-twitter-client's ApiError keeps the failed response; many other library calls
+    // throw the raw response text, which is often Twitter's JSON error body
+    const body = parseBody(error.message);
+    if (error.response?.status || Array.isArray(body?.errors)) {
+        const upstream = error.response
+            ? twitterError({ status: error.response.status, body: error.data, headers: error.response.headers })
+            : twitterError({ body });
+        if (context) {
+            upstream.message = `${context}: ${upstream.message}`;
+        }
+        return upstream;
+    }
+
+    // Database failures are ours, whatever their message says
+    if (error.name?.startsWith('Mongo')) {
+        return new ApiError(message);
+    }
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+        return new UpstreamTimeoutError(message);
+    }
+    const [, ErrorType] = MESSAGE_PATTERNS.find(([pattern]) => pattern.test(error.message)) || [];
+    return ErrorType ? new ErrorType(message) : new ApiError(message);
+};
+
+/**
+ * Send an error response with its status, code and Retry-After header where relevant
+ * @param {import('express').Response} res
+ * @param {Error} error
+ */
+export const sendError = (res, error) => {
+    const apiError = toApiError(error);
+    if (apiError.status >= 500) {
+        console.error(`${apiError.code}: ${apiError.message}`);
+    }
+    if (apiError.retryAfter !== undefined) {
+        res.set('Retry-After', String(apiError.retryAfter));
+    }
+    return res.status(apiError.status).json(apiError);
+};
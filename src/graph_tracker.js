@@ -0,0 +1,200 @@
+export const GRAPH_TYPES = ['followers', 'following'];
+
+/**
+ * Keeps dated snapshots of the follower and following lists of tracked accounts
+ * in the graph_snapshots collection, and diffs them to show who followed or unfollowed.
+ */
+export class GraphTracker {
+    static SNAPSHOT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+    static POLL_INTERVAL_MS = 5 * 60 * 1000;
+    static MAX_USERS = 5000;
+    static PAGE_SIZE = 100;
+
+    constructor(twitterHelper, accountStore) {
+        this.client = twitterHelper.client;
+        this.rateLimiter = twitterHelper.rateLimiter;
+        this.accounts = accountStore;
+        this.trackingCollection = 'graph_tracking';
+        this.snapshotCollection = 'graph_snapshots';
+        this.snapshotIntervalMs = Number(process.env.GRAPH_SNAPSHOT_INTERVAL_MS) || GraphTracker.SNAPSHOT_INTERVAL_MS;
+        this.timer = null;
+        this.running = false;
+    }
+
+    async track({ userId, accountId, username }) {
+        const collection = await this.client.getCollection(this.trackingCollection);
+        const now = new Date();
+        await collection.updateOne(
+            { _id: userId },
+            {
+                $set: { accountId, username, updatedAt: now },
+                $setOnInsert: { nextSnapshotAt: now, createdAt: now }
+            },
+            { upsert: true }
+        );
+        return this.getTracking(userId);
+    }
+
+    async untrack(userId) {
+        const collection = await this.client.getCollection(this.trackingCollection);
+        const result = await collection.deleteOne({ _id: userId });
+        return result.deletedCount > 0;
+    }
+
+    async getTracking(userId) {
+        const collection = await this.client.getCollection(this.trackingCollection);
+        const document = await collection.findOne({ _id: userId });
+        if (!document) return null;
+        const { _id, ...tracking } = document;
+        return { userId: _id, ...tracking };
+    }
+
+    /**
+     * List tracked accounts, optionally only those tracked with the given usernames
+     * @param {Object} [filter]
+     * @param {string[]} [filter.usernames]
+     */
+    async listTracked({ usernames } = {}) {
+        const collection = await this.client.getCollection(this.trackingCollection);
+        const query = usernames ? { username: { $in: usernames } } : {};
+        const documents = await collection.find(query).sort({ createdAt: 1 }).toArray();
+        return documents.map(({ _id, ...tracking }) => ({ userId: _id, ...tracking }));
+    }
+
+    /**
+     * Page through the follower or following list of a user, one read token per page,
+     * up to MAX_USERS users
+     * @returns {Promise<{ users: Object[], truncated: boolean }>} - truncated when users beyond MAX_USERS were left out
+     */
+    async fetchAll(scraper, username, userId, type) {
+        const users = [];
+        let cursor;
+        do {
+            await this.rateLimiter.acquire(username, 'read');
+            const page = type === 'followers'
+                ? await scraper.fetchProfileFollowers(userId, GraphTracker.PAGE_SIZE, cursor)
+                : await scraper.fetchProfileFollowing(userId, GraphTracker.PAGE_SIZE, cursor);
+            // Twitter ends some lists with an empty page that still has a cursor
+            if (page.profiles.length === 0) break;
+
+            users.push(...page.profiles.map(profile => ({
+                id: profile.userId,
+                username: profile.username,
+                name: profile.name
+            })));
+            cursor = page.next;
+            // Only a cap reached with pages left makes the list partial
+            if (users.length >= GraphTracker.MAX_USERS) {
+                return { users: users.slice(0, GraphTracker.MAX_USERS), truncated: users.length > GraphTracker.MAX_USERS || Boolean(cursor) };
+            }
+        } while (cursor);
+        return { users, truncated: false };
+    }
+
+    async snapshot(credentials, userId) {
+        const scraper = await this.client.getClient(credentials);
+        const collection = await this.client.getCollection(this.snapshotCollection);
+        await collection.createIndex({ userId: 1, type: 1, takenAt: -1 });
+
+        const takenAt = new Date();
+        const snapshots = [];
+        for (const type of GRAPH_TYPES) {
+            const { users, truncated } = await this.fetchAll(scraper, credentials.username, userId, type);
+            const document = { userId, type, username: credentials.username, takenAt, count: users.length, truncated, users };
+            await collection.insertOne(document);
+            snapshots.push({ type, takenAt, count: users.length, truncated });
+        }
+        return snapshots;
+    }
+
+    // Snapshots of a user, optionally only those taken with the given usernames
+    async listSnapshots(userId, { usernames } = {}) {
+        const collection = await this.client.getCollection(this.snapshotCollection);
+        return collection
+            .find(
+                { userId, ...(usernames && { username: { $in: usernames } }) },
+                { projection: { _id: 0, type: 1, takenAt: 1, count: 1, truncated: 1 } }
+            )
+            .sort({ takenAt: -1 })
+            .toArray();
+    }
+
+    /**
+     * Diff the latest snapshot against the last one taken at or before `since`
+     * (or the one before the latest when `since` is not given).
+     * A diff involving a truncated snapshot is marked partial: users past the MAX_USERS cut
+     * of either list show up as added or removed without having followed or unfollowed.
+     * @param {Object} [filter]
+     * @param {string[]} [filter.usernames] - Only use snapshots taken with these usernames
+     */
+    async changes(userId, type, since, { usernames } = {}) {
+        const collection = await this.client.getCollection(this.snapshotCollection);
+        const query = { userId, type, ...(usernames && { username: { $in: usernames } }) };
+        const latest = await collection.findOne(query, { sort: { takenAt: -1 } });
+        if (!latest) return null;
+
+        const baseline = since
+            ? await collection.findOne({ ...query, takenAt: { $lte: since } }, { sort: { takenAt: -1 } })
+            : await collection.findOne({ ...query, takenAt: { $lt: latest.takenAt } }, { sort: { takenAt: -1 } });
+
+        const previousIds = new Set((baseline?.users || []).map(user => user.id));
+        const latestIds = new Set(latest.users.map(user => user.id));
+
+        return {
+            from: baseline?.takenAt || null,
+            to: latest.takenAt,
+            partial: Boolean(latest.truncated || baseline?.truncated),
+            added: baseline ? latest.users.filter(user => !previousIds.has(user.id)) : [],
+            removed: (baseline?.users || []).filter(user => !latestIds.has(user.id))
+        };
+    }
+
+    // Atomically claim a tracked account that is due, pushing its next snapshot forward
+    async claimNext() {
+        const collection = await this.client.getCollection(this.trackingCollection);
+        const now = new Date();
+        return collection.findOneAndUpdate(
+            { nextSnapshotAt: { $lte: now } },
+            { $set: { nextSnapshotAt: new Date(now.getTime() + this.snapshotIntervalMs) } },
+            { sort: { nextSnapshotAt: 1 } }
+        );
+    }
+
+    async runOnce() {
+        if (this.running) return;
+        this.running = true;
+        try {
+            let tracking;
+            while ((tracking = await this.claimNext())) {
+                const collection = await this.client.getCollection(this.trackingCollection);
+                try {
+                    const credentials = await this.accounts.resolveCredentials(tracking.accountId);
+                    if (!credentials) {
+                        throw new Error(`Account ${tracking.accountId} not found`);
+                    }
+                    await this.snapshot(credentials, tracking._id);
+                    await collection.updateOne({ _id: tracking._id }, { $set: { lastSnapshotAt: new Date(), lastError: null } });
+                } catch (error) {
+                    console.error(`Error taking graph snapshot for ${tracking._id}:`, error.message);
+                    await this.rateLimiter.recordError(tracking.username, error);
+                    await collection.updateOne({ _id: tracking._id }, { $set: { lastError: error.message } });
+                }
+            }
+        } catch (error) {
+            console.error('Error running graph tracker:', error.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    start(intervalMs = GraphTracker.POLL_INTERVAL_MS) {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.runOnce(), intervalMs);
+        console.log(`Graph tracker running every ${intervalMs}ms`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
@@ -1,7 +1,38 @@
+import http from 'http';
 import express from 'express';
 import cors from 'cors';
+import multer from 'multer';
 import { TwitterHelper } from './twitter_helper.js';
+import { AccountStore } from './accounts.js';
+import { decodeMediaData, validateMedia, limitedMemoryStorage, MediaValidationError, MAX_UPLOAD_BYTES, MAX_IMAGES_PER_TWEET } from './media.js';
+import { MediaStore } from './media_store.js';
+import { TweetScheduler, JOB_STATUS } from './scheduler.js';
+import { ThreadPoster, THREAD_STATUS } from './threads.js';
+import { GraphTracker, GRAPH_TYPES } from './graph_tracker.js';
+import { TweetArchive, EXPORT_FORMATS } from './archive.js';
+import { SessionMonitor, SESSION_STATUS } from './session_monitor.js';
+import { AccountPools } from './account_pools.js';
+import { WebhookWatcher, WATCH_TYPES, DELIVERY_STATUS } from './webhooks.js';
+import { SearchStream } from './search_stream.js';
+import { MentionsFeed } from './mentions.js';
+import { DEFAULT_REPLY_DEPTH, MAX_REPLY_DEPTH } from './conversation.js';
+import { compileSearchQuery } from './search_query.js';
+import { CACHE_TYPES, databaseConfigured } from './storage.js';
+import { ApiKeyStore, ROUTE_GROUPS, ALL_USERNAMES, apiKeysRequired, keyAllowsGroup, keyAllowsUsername } from './api_keys.js';
+import {
+    sendError,
+    toApiError,
+    ERROR_CODES,
+    ERROR_STATUS,
+    ApiError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError
+} from './errors.js';
 import { SearchMode } from 'agent-twitter-client';
+import { WebSocketServer } from 'ws';
 import dotenv from 'dotenv';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
@@ -14,6 +45,8 @@ dotenv.config({ path: join(__dirname, '../.env') });
 
 export const SECRETS_CONFIG = [
     ['general', 'MONGO_CONNECTION'],
+    ['general', 'ACCOUNTS_ENCRYPTION_KEY'],
+    ['general', 'ADMIN_API_KEY'],
 ];
 
 // Load secrets from iCloud Keychain if enabled
@@ -54,12 +87,68 @@ const swaggerOptions = {
                 }
             ]
         },
+        security: [
+            { bearerAuth: [] }
+        ],
         components: {
+            securitySchemes: {
+                bearerAuth: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: 'API key, required when REQUIRE_API_KEY is true or ADMIN_API_KEY or ACCOUNTS_ENCRYPTION_KEY is set'
+                }
+            },
+            parameters: {
+                TweetId: {
+                    in: 'path',
+                    name: 'id',
+                    required: true,
+                    schema: {
+                        type: 'string'
+                    },
+                    description: 'Tweet ID'
+                },
+                ArchiveFrom: {
+                    in: 'query',
+                    name: 'from',
+                    required: false,
+                    schema: { type: 'string', format: 'date-time' },
+                    description: 'Only tweets created at or after this time'
+                },
+                ArchiveTo: {
+                    in: 'query',
+                    name: 'to',
+                    required: false,
+                    schema: { type: 'string', format: 'date-time' },
+                    description: 'Only tweets created before this time'
+                },
+                ArchiveText: {
+                    in: 'query',
+                    name: 'q',
+                    required: false,
+                    schema: { type: 'string' },
+                    description: 'Only tweets whose text contains this, ignoring case'
+                },
+                CacheControl: {
+                    in: 'header',
+                    name: 'Cache-Control',
+                    required: false,
+                    schema: {
+                        type: 'string',
+                        example: 'max-age=60'
+                    },
+                    description: 'no-cache to bypass cached data, or max-age=<seconds> to only accept data up to that age'
+                }
+            },
             schemas: {
                 Credentials: {
                     type: 'object',
-                    required: ['username', 'password'],
+                    description: 'Either accountId, or username and password',
                     properties: {
+                        accountId: {
+                            type: 'string',
+                            description: 'Handle of an account registered through /api/accounts'
+                        },
                         username: {
                             type: 'string',
                             description: 'Twitter username'
@@ -67,15 +156,714 @@ const swaggerOptions = {
                         password: {
                             type: 'string',
                             description: 'Twitter password'
+                        },
+                        pool: {
+                            type: 'string',
+                            description: 'Name of an account pool to read with instead of one account (profile, tweets, tweet, conversation, search, following and followers only)'
+                        }
+                    }
+                },
+                AccountPool: {
+                    type: 'object',
+                    properties: {
+                        name: {
+                            type: 'string'
+                        },
+                        accountIds: {
+                            type: 'array',
+                            items: { type: 'string' }
+                        },
+                        usage: {
+                            type: 'object',
+                            description: 'lastUsedAt, lastLimitedAt and lastErrorCode of each account, by username',
+                            additionalProperties: {
+                                type: 'object',
+                                properties: {
+                                    lastUsedAt: { type: 'string', format: 'date-time' },
+                                    lastLimitedAt: { type: 'string', format: 'date-time' },
+                                    lastErrorCode: { type: 'string', enum: ERROR_CODES }
+                                }
+                            }
+                        },
+                        createdAt: {
+                            type: 'string',
+                            format: 'date-time'
+                        },
+                        updatedAt: {
+                            type: 'string',
+                            format: 'date-time'
+                        }
+                    }
+                },
+                Account: {
+                    type: 'object',
+                    properties: {
+                        accountId: {
+                            type: 'string',
+                            description: 'Opaque account handle'
+                        },
+                        username: {
+                            type: 'string',
+                            description: 'Twitter username'
+                        },
+                        hasEmail: {
+                            type: 'boolean'
+                        },
+                        hasTwoFactorSecret: {
+                            type: 'boolean'
+                        },
+                        createdAt: {
+                            type: 'string',
+                            format: 'date-time'
+                        },
+                        updatedAt: {
+                            type: 'string',
+                            format: 'date-time'
+                        }
+                    }
+                },
+                SessionStatus: {
+                    type: 'object',
+                    properties: {
+                        username: {
+                            type: 'string'
+                        },
+                        accountId: {
+                            type: 'string'
+                        },
+                        status: {
+                            type: 'string',
+                            enum: Object.values(SESSION_STATUS),
+                            description: 'expiring means the session works but logging in again failed'
+                        },
+                        cookiesExpireAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                            description: 'When the session cookies expire'
+                        },
+                        lastCheckedAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true
+                        },
+                        lastSuccessAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                            description: 'Last check that found a working session'
+                        },
+                        lastRefreshAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                            description: 'Last time the monitor logged in again'
+                        },
+                        lastError: {
+                            type: 'string',
+                            nullable: true
+                        },
+                        lastErrorCode: {
+                            type: 'string',
+                            nullable: true,
+                            enum: ERROR_CODES
+                        },
+                        lastErrorAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true
+                        },
+                        nextCheckAt: {
+                            type: 'string',
+                            format: 'date-time'
+                        }
+                    }
+                },
+                ApiKey: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'string',
+                            description: 'Key identifier, used to revoke the key'
+                        },
+                        name: {
+                            type: 'string'
+                        },
+                        usernames: {
+                            type: 'array',
+                            description: "Twitter usernames the key may act as ('*' for all)",
+                            items: {
+                                type: 'string'
+                            }
+                        },
+                        groups: {
+                            type: 'array',
+                            description: 'Route groups the key may call',
+                            items: {
+                                type: 'string',
+                                enum: ROUTE_GROUPS
+                            }
+                        },
+                        createdAt: {
+                            type: 'string',
+                            format: 'date-time'
+                        },
+                        lastUsedAt: {
+                            type: 'string',
+                            format: 'date-time'
+                        }
+                    }
+                },
+                ScheduledTweet: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'string'
+                        },
+                        accountId: {
+                            type: 'string'
+                        },
+                        username: {
+                            type: 'string'
+                        },
+                        tweet: {
+                            type: 'object',
+                            properties: {
+                                text: { type: 'string' },
+                                reply_to_id: { type: 'string' },
+                                quote_tweet_id: { type: 'string' },
+                                mediaCount: { type: 'integer' }
+                            }
+                        },
+                        publishAt: {
+                            type: 'string',
+                            format: 'date-time'
+                        },
+                        status: {
+                            type: 'string',
+                            enum: Object.values(JOB_STATUS)
+                        },
+                        attempts: {
+                            type: 'integer'
+                        },
+                        tweetId: {
+                            type: 'string',
+                            description: 'ID of the published tweet'
+                        },
+                        sentAt: {
+                            type: 'string',
+                            format: 'date-time'
+                        },
+                        error: {
+                            type: 'string',
+                            description: 'Why publishing failed'
+                        },
+                        errorCode: {
+                            type: 'string',
+                            enum: ERROR_CODES
+                        }
+                    }
+                },
+                Watch: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'string'
+                        },
+                        type: {
+                            type: 'string',
+                            enum: WATCH_TYPES
+                        },
+                        target: {
+                            type: 'string',
+                            description: 'User handle or id for user watches, query for search watches'
+                        },
+                        callbackUrl: {
+                            type: 'string'
+                        },
+                        username: {
+                            type: 'string',
+                            description: 'Account whose session polls the watch'
+                        },
+                        intervalMs: {
+                            type: 'integer'
+                        },
+                        secret: {
+                            type: 'string',
+                            description: 'HMAC-SHA256 key for X-Webhook-Signature, only returned when the watch is created'
+                        },
+                        lastSeenId: {
+                            type: 'string',
+                            nullable: true,
+                            description: 'Newest tweet id seen so far'
+                        },
+                        lastPolledAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true
+                        },
+                        nextPollAt: {
+                            type: 'string',
+                            format: 'date-time'
+                        },
+                        lastError: {
+                            type: 'string',
+                            nullable: true
+                        },
+                        errorCode: {
+                            type: 'string',
+                            nullable: true,
+                            enum: ERROR_CODES
+                        },
+                        createdAt: {
+                            type: 'string',
+                            format: 'date-time'
                         }
                     }
                 },
+                WebhookDelivery: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'string',
+                            description: 'Sent as X-Webhook-Id and kept across retries'
+                        },
+                        watchId: {
+                            type: 'string'
+                        },
+                        tweetCount: {
+                            type: 'integer'
+                        },
+                        status: {
+                            type: 'string',
+                            enum: Object.values(DELIVERY_STATUS)
+                        },
+                        attempts: {
+                            type: 'integer'
+                        },
+                        nextAttemptAt: {
+                            type: 'string',
+                            format: 'date-time'
+                        },
+                        responseStatus: {
+                            type: 'integer'
+                        },
+                        deliveredAt: {
+                            type: 'string',
+                            format: 'date-time'
+                        },
+                        lastError: {
+                            type: 'string',
+                            nullable: true
+                        },
+                        createdAt: {
+                            type: 'string',
+                            format: 'date-time'
+                        }
+                    }
+                },
+                ThreadJob: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'string',
+                            description: 'Thread job id, used to resume a failed thread'
+                        },
+                        username: {
+                            type: 'string'
+                        },
+                        status: {
+                            type: 'string',
+                            enum: Object.values(THREAD_STATUS)
+                        },
+                        total: {
+                            type: 'integer',
+                            description: 'Number of tweets in the thread'
+                        },
+                        posted: {
+                            type: 'array',
+                            description: 'Tweets posted so far, in order',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    index: { type: 'integer' },
+                                    tweetId: { type: 'string' }
+                                }
+                            }
+                        },
+                        failedIndex: {
+                            type: 'integer',
+                            nullable: true,
+                            description: 'Index of the tweet that failed'
+                        },
+                        error: {
+                            type: 'string',
+                            nullable: true
+                        },
+                        errorCode: {
+                            type: 'string',
+                            nullable: true,
+                            enum: ERROR_CODES
+                        },
+                        retryAt: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                            description: 'When a rate limit that stopped the thread resets'
+                        }
+                    }
+                },
+                TweetActionResult: {
+                    type: 'object',
+                    properties: {
+                        success: {
+                            type: 'boolean',
+                            example: true
+                        },
+                        action: {
+                            type: 'string',
+                            enum: ['like', 'unlike', 'unretweet', 'delete', 'bookmark', 'unbookmark']
+                        },
+                        tweetId: {
+                            type: 'string'
+                        }
+                    }
+                },
+                UserActionResult: {
+                    type: 'object',
+                    properties: {
+                        success: {
+                            type: 'boolean',
+                            example: true
+                        },
+                        action: {
+                            type: 'string',
+                            enum: ['follow', 'unfollow']
+                        },
+                        username: {
+                            type: 'string'
+                        }
+                    }
+                },
+                MediaUpload: {
+                    type: 'object',
+                    properties: {
+                        mediaId: {
+                            type: 'string',
+                            description: 'Media handle to pass in mediaIds'
+                        },
+                        mediaType: {
+                            type: 'string',
+                            description: 'Detected MIME type'
+                        },
+                        size: {
+                            type: 'integer'
+                        },
+                        altText: {
+                            type: 'string',
+                            nullable: true
+                        },
+                        expiresAt: {
+                            type: 'string',
+                            format: 'date-time'
+                        }
+                    }
+                },
+                Page: {
+                    type: 'object',
+                    properties: {
+                        items: {
+                            type: 'array',
+                            description: 'Items in this page',
+                            items: {
+                                type: 'object'
+                            }
+                        },
+                        nextCursor: {
+                            type: 'string',
+                            nullable: true,
+                            description: 'Pass as cursor to fetch the next page; null on the last page'
+                        }
+                    }
+                },
+                Tweet: {
+                    type: 'object',
+                    description: 'Tweet as returned by every read endpoint. Fields the source does not provide are null.',
+                    properties: {
+                        id: { type: 'string' },
+                        url: { type: 'string', nullable: true },
+                        text: { type: 'string' },
+                        createdAt: { type: 'string', format: 'date-time', nullable: true },
+                        lang: { type: 'string', nullable: true },
+                        conversationId: { type: 'string', nullable: true },
+                        author: {
+                            type: 'object',
+                            properties: {
+                                id: { type: 'string', nullable: true },
+                                username: { type: 'string', nullable: true },
+                                name: { type: 'string', nullable: true },
+                                profileImageUrl: { type: 'string', nullable: true },
+                                isVerified: { type: 'boolean', nullable: true }
+                            }
+                        },
+                        metrics: {
+                            type: 'object',
+                            properties: {
+                                likes: { type: 'integer', nullable: true },
+                                retweets: { type: 'integer', nullable: true },
+                                replies: { type: 'integer', nullable: true },
+                                quotes: { type: 'integer', nullable: true },
+                                bookmarks: { type: 'integer', nullable: true },
+                                views: { type: 'integer', nullable: true }
+                            }
+                        },
+                        media: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    type: { type: 'string', enum: ['photo', 'video', 'animated_gif'] },
+                                    id: { type: 'string' },
+                                    url: { type: 'string', nullable: true, description: 'Image, or the highest bitrate MP4 of a video' },
+                                    previewUrl: { type: 'string', nullable: true, description: 'Thumbnail of a video' },
+                                    altText: { type: 'string', nullable: true },
+                                    variants: {
+                                        type: 'array',
+                                        description: 'Every encoding of a video',
+                                        items: {
+                                            type: 'object',
+                                            properties: {
+                                                url: { type: 'string' },
+                                                contentType: { type: 'string' },
+                                                bitrate: { type: 'integer', nullable: true }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        entities: {
+                            type: 'object',
+                            properties: {
+                                hashtags: { type: 'array', items: { type: 'string' } },
+                                mentions: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            id: { type: 'string' },
+                                            username: { type: 'string', nullable: true },
+                                            name: { type: 'string', nullable: true }
+                                        }
+                                    }
+                                },
+                                urls: { type: 'array', items: { type: 'string' }, description: 'Expanded URLs' }
+                            }
+                        },
+                        isReply: { type: 'boolean' },
+                        isRetweet: { type: 'boolean' },
+                        isQuote: { type: 'boolean' },
+                        isPinned: { type: 'boolean', description: 'Pinned to the top of the author\'s profile, only set by /api/tweets/{userId}' },
+                        sensitive: { type: 'boolean' },
+                        replyTo: {
+                            type: 'object',
+                            nullable: true,
+                            description: 'Tweet this one replies to',
+                            properties: {
+                                id: { type: 'string' },
+                                userId: { type: 'string', nullable: true },
+                                username: { type: 'string', nullable: true }
+                            }
+                        },
+                        quotedTweetId: { type: 'string', nullable: true },
+                        quotedTweet: {
+                            allOf: [{ $ref: '#/components/schemas/Tweet' }],
+                            nullable: true,
+                            description: 'The quoted tweet, without its own quoted or retweeted tweet'
+                        },
+                        retweetedTweetId: { type: 'string', nullable: true },
+                        retweetedTweet: {
+                            allOf: [{ $ref: '#/components/schemas/Tweet' }],
+                            nullable: true,
+                            description: 'The original tweet of a retweet, without its own quoted or retweeted tweet'
+                        }
+                    }
+                },
+                ConversationNode: {
+                    allOf: [
+                        { $ref: '#/components/schemas/Tweet' },
+                        {
+                            type: 'object',
+                            properties: {
+                                parentId: {
+                                    type: 'string',
+                                    nullable: true,
+                                    description: 'Tweet this one replies to; null for the root'
+                                },
+                                childIds: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Replies to this tweet in the same page, oldest first'
+                                },
+                                depth: {
+                                    type: 'integer',
+                                    nullable: true,
+                                    description: '0 for the root and its self-thread, 1 for replies to them, and so on; null when the parent is not in the page'
+                                }
+                            }
+                        }
+                    ]
+                },
+                Conversation: {
+                    type: 'object',
+                    properties: {
+                        conversationId: {
+                            type: 'string',
+                            description: 'Id of the root tweet'
+                        },
+                        root: {
+                            allOf: [{ $ref: '#/components/schemas/ConversationNode' }],
+                            nullable: true,
+                            description: 'Root tweet, on the first page only'
+                        },
+                        thread: {
+                            type: 'array',
+                            description: "The root author's replies to themself, in order, on the first page only",
+                            items: { $ref: '#/components/schemas/ConversationNode' }
+                        },
+                        items: {
+                            type: 'array',
+                            description: 'Other replies in this page, down to maxDepth',
+                            items: { $ref: '#/components/schemas/ConversationNode' }
+                        },
+                        nextCursor: {
+                            type: 'string',
+                            nullable: true,
+                            description: 'Pass as cursor to fetch more replies; null on the last page'
+                        }
+                    }
+                },
+                TweetPage: {
+                    allOf: [
+                        { $ref: '#/components/schemas/Page' },
+                        {
+                            type: 'object',
+                            properties: {
+                                items: {
+                                    type: 'array',
+                                    items: { $ref: '#/components/schemas/Tweet' }
+                                }
+                            }
+                        }
+                    ]
+                },
+                BatchResults: {
+                    type: 'object',
+                    properties: {
+                        results: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    key: { type: 'string', description: 'Username or tweet id as requested' },
+                                    ok: { type: 'boolean' },
+                                    cached: { type: 'boolean', description: 'Whether data came from the cache' },
+                                    data: { type: 'object', description: 'Profile or Tweet, when ok' },
+                                    error: {
+                                        type: 'object',
+                                        description: 'Why this item failed, when not ok',
+                                        properties: {
+                                            error: { type: 'string' },
+                                            code: { type: 'string' },
+                                            status: { type: 'integer' },
+                                            details: {}
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                },
+                SearchFilter: {
+                    type: 'object',
+                    description: 'Compiled into search operators. Terms of different fields are all required; several users in one field match any of them.',
+                    additionalProperties: false,
+                    properties: {
+                        from: { $ref: '#/components/schemas/SearchTerms', description: 'Tweets by these users (from:)' },
+                        to: { $ref: '#/components/schemas/SearchTerms', description: 'Replies to these users (to:)' },
+                        mentioning: { $ref: '#/components/schemas/SearchTerms', description: 'Tweets mentioning these users (@)' },
+                        allWords: { $ref: '#/components/schemas/SearchTerms', description: 'Single words that must all appear' },
+                        anyWords: { $ref: '#/components/schemas/SearchTerms', description: 'Single words of which at least one must appear' },
+                        noneWords: { $ref: '#/components/schemas/SearchTerms', description: 'Single words that must not appear' },
+                        phrases: { $ref: '#/components/schemas/SearchTerms', description: 'Exact phrases that must appear' },
+                        hashtags: { $ref: '#/components/schemas/SearchTerms', description: 'Hashtags that must appear, with or without #' },
+                        lang: { type: 'string', description: 'Language code (lang:)', example: 'en' },
+                        since: { type: 'string', format: 'date', description: 'Tweets on or after this day (since:)' },
+                        until: { type: 'string', format: 'date', description: 'Tweets before this day (until:)' },
+                        minLikes: { type: 'integer', minimum: 0, description: 'min_faves:' },
+                        minRetweets: { type: 'integer', minimum: 0, description: 'min_retweets:' },
+                        minReplies: { type: 'integer', minimum: 0, description: 'min_replies:' },
+                        hasMedia: { type: 'boolean', description: 'true for filter:media, false for -filter:media' },
+                        hasLinks: { type: 'boolean', description: 'true for filter:links, false for -filter:links' },
+                        excludeReplies: { type: 'boolean', description: '-filter:replies' },
+                        excludeRetweets: { type: 'boolean', description: '-filter:retweets' }
+                    }
+                },
+                SearchTerms: {
+                    oneOf: [
+                        { type: 'string' },
+                        { type: 'array', items: { type: 'string' } }
+                    ]
+                },
+                MentionsPage: {
+                    allOf: [
+                        { $ref: '#/components/schemas/TweetPage' },
+                        {
+                            type: 'object',
+                            properties: {
+                                hasMore: {
+                                    type: 'boolean',
+                                    description: 'More new mentions remain; with newOnly, call again to read them'
+                                },
+                                highWaterMark: {
+                                    type: 'string',
+                                    nullable: true,
+                                    description: 'Newest mention id marked as seen for the account; only set with newOnly'
+                                }
+                            }
+                        }
+                    ]
+                },
                 Error: {
                     type: 'object',
                     properties: {
                         error: {
                             type: 'string',
                             description: 'Error message'
+                        },
+                        code: {
+                            type: 'string',
+                            enum: ERROR_CODES,
+                            description: 'Stable machine-readable error code'
+                        },
+                        details: {
+                            type: 'object',
+                            description: 'Upstream Twitter status and errors, when Twitter caused the failure',
+                            properties: {
+                                upstreamStatus: {
+                                    type: 'integer'
+                                },
+                                errors: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            code: { type: 'integer' },
+                                            message: { type: 'string' }
+                                        }
+                                    }
+                                }
+                            }
                         }
                     }
                 }
@@ -104,84 +892,2871 @@ app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 
 const twitterHelper = new TwitterHelper();
+const accountStore = new AccountStore(twitterHelper.client);
+const apiKeyStore = new ApiKeyStore(twitterHelper.client);
+const mediaStore = new MediaStore(twitterHelper.client);
+const tweetScheduler = new TweetScheduler(twitterHelper, accountStore, mediaStore);
+const threadPoster = new ThreadPoster(twitterHelper, mediaStore);
+const graphTracker = new GraphTracker(twitterHelper, accountStore);
+const tweetArchive = new TweetArchive(twitterHelper, accountStore);
+const sessionMonitor = new SessionMonitor(twitterHelper, accountStore);
+const accountPools = new AccountPools(twitterHelper, accountStore, sessionMonitor);
+const webhookWatcher = new WebhookWatcher(twitterHelper, accountStore);
+const searchStream = new SearchStream(twitterHelper);
+const mentionsFeed = new MentionsFeed(twitterHelper);
 
-// Middleware to validate credentials
-const validateCredentials = (req, res, next) => {
-    const { username, password } = req.body;
-    if (!username || !password) {
-        return res.status(400).json({
-            error: 'Username and password are required'
-        });
+// Middleware to authenticate the API key in the Authorization header
+const authenticateApiKey = async (req, res, next) => {
+    try {
+        req.apiKey = await authenticateRequest(req);
+        next();
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// API key of a request, or undefined when keys are not required; shared with WebSocket upgrades
+const authenticateRequest = async (req) => {
+    if (!apiKeysRequired()) {
+        return undefined;
+    }
+
+    const [scheme, key] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !key) {
+        throw new UnauthorizedError('API key is required (Authorization: Bearer <key>)');
+    }
+    const apiKey = await apiKeyStore.authenticate(key);
+    if (!apiKey) {
+        throw new UnauthorizedError('Invalid API key');
+    }
+    return apiKey;
+};
+
+// Middleware factory to restrict a route to API keys granted the given route group.
+// Admin routes are refused outright when keys are off.
+const authorize = (group) => (req, res, next) => {
+    if (!req.apiKey && group === 'admin') {
+        return sendError(res, new ForbiddenError(`${group} endpoints require an API key; set ADMIN_API_KEY`));
+    }
+    if (req.apiKey && !keyAllowsGroup(req.apiKey, group)) {
+        return sendError(res, new ForbiddenError(`API key is not allowed to call ${group} endpoints`));
+    }
+    next();
+};
+
+app.use('/api', authenticateApiKey);
+
+// Registered accounts, pools, keys and the cache are never open without an API key
+app.use(['/api/accounts', '/api/keys', '/api/pools', '/api/cache'], (req, res, next) => {
+    if (!req.apiKey) {
+        return sendError(res, new ForbiddenError('This endpoint requires an API key; set ADMIN_API_KEY'));
+    }
+    next();
+});
+
+// Middleware to replace a registered account handle with its stored credentials
+const resolveAccount = async (req, res, next) => {
+    const { accountId } = req.body;
+    if (!accountId) {
+        return next();
+    }
+    try {
+        const credentials = await accountStore.resolveCredentials(accountId);
+        if (!credentials) {
+            return sendError(res, new NotFoundError(`Account ${accountId} not found`));
+        }
+        req.body = { ...req.body, ...credentials };
+        next();
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// Middleware to load the account pool a read endpoint was given instead of one account
+const resolvePool = async (req, res, next) => {
+    const { pool: name } = req.body;
+    if (name === undefined) {
+        return next();
+    }
+    try {
+        const pool = await accountPools.get(name);
+        if (!pool) {
+            return sendError(res, new NotFoundError(`Pool ${name} not found`));
+        }
+        req.pool = pool;
+        next();
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// Middleware to validate credentials
+const requireCredentials = (req, res, next) => {
+    const { username, password } = req.body;
+    if (req.pool) {
+        return next();
+    }
+    if (!username || !password) {
+        return sendError(res, new ValidationError('Username and password (or accountId) are required'));
+    }
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        return sendError(res, new ValidationError('username and password must be strings'));
+    }
+    next();
+};
+
+// Whether the request's API key (if any) may act as the given Twitter username
+const canActAs = (req, username) => !req.apiKey || keyAllowsUsername(req.apiKey, username);
+
+// Usernames the request's API key is scoped to, or undefined when it may act as anyone
+const scopedUsernames = (req) => (req.apiKey && !req.apiKey.usernames.includes(ALL_USERNAMES)
+    ? req.apiKey.usernames
+    : undefined);
+
+// Middleware to restrict the API key to the Twitter usernames it is scoped to
+const authorizeAccount = (req, res, next) => {
+    if (!req.pool && !canActAs(req, req.body.username)) {
+        return sendError(res, new ForbiddenError(`API key is not allowed to act as ${req.body.username}`));
+    }
+    next();
+};
+
+const validateCredentials = [resolveAccount, requireCredentials, authorizeAccount];
+
+// Credentials for read endpoints, which also accept a pool
+const validateReadCredentials = [resolvePool, ...validateCredentials];
+
+// Run a read with the request's account, or with the best account of its pool the API key may use
+const readWith = async (req, res, read) => {
+    if (!req.pool) {
+        return read(req.body);
+    }
+    const { result, username } = await accountPools.run(req.pool, read, {
+        allowed: (username) => canActAs(req, username)
+    });
+    res.set('X-Account', username);
+    return result;
+};
+
+const upload = multer({
+    storage: limitedMemoryStorage(),
+    limits: {
+        fileSize: MAX_UPLOAD_BYTES,
+        files: MAX_IMAGES_PER_TWEET
+    }
+});
+
+// Room for the form fields sent alongside the files
+const MULTIPART_OVERHEAD_BYTES = 1024 * 1024;
+
+// Middleware to parse multipart/form-data requests with files in the "media" field
+// JSON requests pass through untouched
+const parseMultipart = (req, res, next) => {
+    if (req.is('multipart/form-data') && Number(req.get('Content-Length')) > MAX_UPLOAD_BYTES + MULTIPART_OVERHEAD_BYTES) {
+        return sendError(res, new MediaValidationError(`Uploads are limited to ${MAX_UPLOAD_BYTES} bytes per request`));
+    }
+    upload.array('media')(req, res, (error) => {
+        if (error) {
+            return sendError(res, error instanceof MediaValidationError ? error : new MediaValidationError(error.message));
+        }
+        next();
+    });
+};
+
+// Per-request cache freshness from Cache-Control (no-cache, max-age=<seconds>) or a maxAge body field
+const cacheOptions = (req) => {
+    const cacheControl = req.get('Cache-Control') || '';
+    const maxAge = cacheControl.match(/max-age=(\d+)/)?.[1] ?? req.body.maxAge;
+    if (maxAge !== undefined && !(Number(maxAge) >= 0)) {
+        throw new ValidationError('maxAge must be a number of seconds');
+    }
+    return {
+        noCache: /no-cache|no-store/.test(cacheControl),
+        ...(maxAge !== undefined && { maxAgeMs: Number(maxAge) * 1000 })
+    };
+};
+
+// Gather media from base64 mediaData, multipart files and stored mediaIds, and validate it
+// Throws MediaValidationError, or NotFoundError for unknown media handles
+const collectMedia = async (req) => {
+    const { mediaData, mediaIds } = req.body;
+    const altTexts = [].concat(req.body.altText || []);
+
+    const uploaded = (req.files || []).map((file, index) => ({
+        data: file.buffer,
+        mediaType: file.mimetype,
+        ...(altTexts[index] && { altText: altTexts[index] })
+    }));
+    const stored = mediaIds && mediaIds.length > 0
+        ? await mediaStore.load([].concat(mediaIds), req.apiKey?.id)
+        : [];
+
+    return validateMedia([...decodeMediaData(mediaData), ...uploaded, ...stored]);
+};
+
+/**
+ * @swagger
+ * /health:
+ *   get:
+ *     summary: Health check endpoint
+ *     description: Returns a health status of the API
+ *     responses:
+ *       200:
+ *         description: API is healthy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: OK
+ */
+app.get('/health', (req, res) => {
+    res.json({ status: 'OK' });
+});
+
+/**
+ * @swagger
+ * /api/accounts:
+ *   post:
+ *     summary: Register an account
+ *     description: Store Twitter credentials encrypted on the server and return an account handle that can be used in place of credentials on every endpoint. Registering an existing username updates its credentials and keeps the same handle.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - password
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 description: Twitter username
+ *               password:
+ *                 type: string
+ *                 description: Twitter password
+ *               email:
+ *                 type: string
+ *                 description: Account email, used when Twitter asks for verification
+ *               twoFactorSecret:
+ *                 type: string
+ *                 description: TOTP secret for two-factor authentication
+ *     responses:
+ *       201:
+ *         description: Account registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Account'
+ *       400:
+ *         description: Missing username or password
+ *       500:
+ *         description: Error registering account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   get:
+ *     summary: List registered accounts
+ *     description: List registered accounts without their secrets
+ *     responses:
+ *       200:
+ *         description: Registered accounts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Account'
+ *       500:
+ *         description: Error listing accounts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/api/accounts', authorize('admin'), async (req, res) => {
+    try {
+        const { username, password, email, twoFactorSecret } = req.body;
+        if (!username || !password) {
+            return sendError(res, new ValidationError('Username and password are required'));
+        }
+
+        const account = await accountStore.register({ username, password, email, twoFactorSecret });
+        res.status(201).json(account);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.get('/api/accounts', authorize('admin'), async (req, res) => {
+    try {
+        const accounts = await accountStore.list();
+        res.json(accounts);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/accounts/{accountId}:
+ *   get:
+ *     summary: Get a registered account
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account handle
+ *     responses:
+ *       200:
+ *         description: The account, without its secrets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Account'
+ *       404:
+ *         description: Account not found
+ *   delete:
+ *     summary: Delete a registered account
+ *     description: Remove the stored credentials and any saved session for the account
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account handle
+ *     responses:
+ *       200:
+ *         description: Account deleted
+ *       404:
+ *         description: Account not found
+ */
+app.get('/api/accounts/:accountId', authorize('admin'), async (req, res) => {
+    try {
+        const account = await accountStore.get(req.params.accountId);
+        if (!account) {
+            return sendError(res, new NotFoundError(`Account ${req.params.accountId} not found`));
+        }
+        res.json(account);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.delete('/api/accounts/:accountId', authorize('admin'), async (req, res) => {
+    try {
+        const deleted = await accountStore.remove(req.params.accountId);
+        if (!deleted) {
+            return sendError(res, new NotFoundError(`Account ${req.params.accountId} not found`));
+        }
+        res.json({ deleted: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/accounts/{username}/session:
+ *   get:
+ *     summary: Get the session health of a registered account
+ *     description: Result of the latest background check of the account's session. Never contacts Twitter; use POST /api/accounts/{username}/session/check to check it now.
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Twitter username of a registered account
+ *     responses:
+ *       200:
+ *         description: Session status, with status unknown until the account is first checked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SessionStatus'
+ *       404:
+ *         description: No registered account with this username
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.get('/api/accounts/:username/session', authorize('read'), async (req, res) => {
+    try {
+        const { username } = req.params;
+        if (!canActAs(req, username)) {
+            return sendError(res, new NotFoundError(`No session status for ${username}`));
+        }
+
+        let status = await sessionMonitor.get(username);
+        if (!status) {
+            // Accounts registered since the monitor last ran have no status yet
+            await sessionMonitor.syncAccounts();
+            status = await sessionMonitor.get(username);
+        }
+        if (!status) {
+            return sendError(res, new NotFoundError(`No registered account ${username}`));
+        }
+        res.json(status);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/accounts/{username}/session/check:
+ *   post:
+ *     summary: Check the session of a registered account now
+ *     description: Check the account's session against Twitter, logging in again if the session is dead or about to expire, and return the new status.
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Twitter username of a registered account
+ *     responses:
+ *       200:
+ *         description: Session status after the check
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SessionStatus'
+ *       404:
+ *         description: No registered account with this username
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/api/accounts/:username/session/check', authorize('read'), async (req, res) => {
+    try {
+        const { username } = req.params;
+        if (!canActAs(req, username)) {
+            return sendError(res, new NotFoundError(`No session status for ${username}`));
+        }
+
+        // Pick up the account's current handle, and accounts registered since the monitor last ran
+        await sessionMonitor.syncAccounts();
+        const status = await sessionMonitor.get(username);
+        if (!status) {
+            return sendError(res, new NotFoundError(`No registered account ${username}`));
+        }
+        res.json(await sessionMonitor.check({ _id: username, accountId: status.accountId }));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/pools:
+ *   post:
+ *     summary: Create or update an account pool
+ *     description: Group registered accounts under a name. Read endpoints given `pool` instead of an account use the pool's healthiest, least recently used account and fail over to the next one when an account is rate limited, logged out or suspended.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - accountIds
+ *             properties:
+ *               name:
+ *                 type: string
+ *               accountIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Handles of accounts registered through /api/accounts
+ *     responses:
+ *       200:
+ *         description: The pool
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AccountPool'
+ *       400:
+ *         description: Missing name or accounts
+ *       404:
+ *         description: An account is not registered
+ *   get:
+ *     summary: List account pools
+ *     responses:
+ *       200:
+ *         description: All pools
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AccountPool'
+ */
+app.post('/api/pools', authorize('admin'), async (req, res) => {
+    try {
+        const { name, accountIds } = req.body;
+        if (typeof name !== 'string' || !name) {
+            return sendError(res, new ValidationError('name is required'));
+        }
+        if (!Array.isArray(accountIds) || accountIds.length === 0 || !accountIds.every(id => typeof id === 'string')) {
+            return sendError(res, new ValidationError('accountIds must be a non-empty array of account handles'));
+        }
+
+        const pool = await accountPools.save({ name, accountIds });
+        res.json(pool);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.get('/api/pools', authorize('admin'), async (req, res) => {
+    try {
+        const pools = await accountPools.list();
+        res.json(pools);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/pools/{name}:
+ *   get:
+ *     summary: Get an account pool with the usage of its accounts
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The pool
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AccountPool'
+ *       404:
+ *         description: Pool not found
+ *   delete:
+ *     summary: Delete an account pool
+ *     description: The accounts themselves stay registered
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pool deleted
+ *       404:
+ *         description: Pool not found
+ */
+app.get('/api/pools/:name', authorize('admin'), async (req, res) => {
+    try {
+        const pool = await accountPools.get(req.params.name);
+        if (!pool) {
+            return sendError(res, new NotFoundError(`Pool ${req.params.name} not found`));
+        }
+        res.json(pool);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.delete('/api/pools/:name', authorize('admin'), async (req, res) => {
+    try {
+        const deleted = await accountPools.remove(req.params.name);
+        if (!deleted) {
+            return sendError(res, new NotFoundError(`Pool ${req.params.name} not found`));
+        }
+        res.json({ deleted: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: Create an API key scoped to a set of Twitter usernames and route groups. The plain key is only returned in this response.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Label for the key, e.g. the owning team
+ *               usernames:
+ *                 type: array
+ *                 description: "Twitter usernames the key may act as ('*' for all)"
+ *                 items:
+ *                   type: string
+ *                 default: ['*']
+ *               groups:
+ *                 type: array
+ *                 description: Route groups the key may call
+ *                 items:
+ *                   type: string
+ *                   enum: [read, post, admin]
+ *                 default: [read]
+ *     responses:
+ *       201:
+ *         description: Key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiKey'
+ *                 - type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       description: The API key to send as a Bearer token
+ *       400:
+ *         description: Invalid usernames or route groups
+ *   get:
+ *     summary: List API keys
+ *     responses:
+ *       200:
+ *         description: API keys, without their secrets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ApiKey'
+ */
+app.post('/api/keys', authorize('admin'), async (req, res) => {
+    try {
+        const { name, usernames, groups } = req.body;
+        const apiKey = await apiKeyStore.create({ name, usernames, groups });
+        res.status(201).json(apiKey);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.get('/api/keys', authorize('admin'), async (req, res) => {
+    try {
+        const apiKeys = await apiKeyStore.list();
+        res.json(apiKeys);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Key identifier
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ *       404:
+ *         description: Key not found
+ */
+app.delete('/api/keys/:id', authorize('admin'), async (req, res) => {
+    try {
+        const revoked = await apiKeyStore.revoke(req.params.id);
+        if (!revoked) {
+            return sendError(res, new NotFoundError(`API key ${req.params.id} not found`));
+        }
+        res.json({ revoked: true });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/cache/stats:
+ *   get:
+ *     summary: Cache statistics per type
+ *     responses:
+ *       200:
+ *         description: Entry count and age range for each cache type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     enum: [profile, target_profile, tweet, user_tweets, timeline, search, following, followers]
+ *                   entries:
+ *                     type: integer
+ *                   oldestAt:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *                   newestAt:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ */
+app.get('/api/cache/stats', authorize('admin'), async (req, res) => {
+    try {
+        const stats = await twitterHelper.client.storage.cacheStats();
+        res.json(stats);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/cache:
+ *   delete:
+ *     summary: Purge cached data
+ *     description: Delete cache entries matching every given filter. At least one filter is required.
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [profile, target_profile, tweet, user_tweets, timeline, search, following, followers]
+ *         description: Cache type
+ *       - in: query
+ *         name: key
+ *         schema:
+ *           type: string
+ *         description: Username, user id, tweet id or search query the entries are about, matching every page cached for it, or a whole cache key
+ *       - in: query
+ *         name: account
+ *         schema:
+ *           type: string
+ *         description: Twitter account whose session fetched the data
+ *     responses:
+ *       200:
+ *         description: Number of entries deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deleted:
+ *                   type: integer
+ *       400:
+ *         description: No filter, or an unknown type
+ */
+app.delete('/api/cache', authorize('admin'), async (req, res) => {
+    try {
+        const { type, key, account } = req.query;
+        if (!type && !key && !account) {
+            return sendError(res, new ValidationError('type, key or account is required'));
+        }
+        if (type && !CACHE_TYPES.includes(type)) {
+            return sendError(res, new ValidationError(`type must be one of: ${CACHE_TYPES.join(', ')}`));
+        }
+
+        const deleted = await twitterHelper.purgeCache({ type, key, account });
+        res.json({ deleted });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/login:
+ *   post:
+ *     summary: Login to Twitter
+ *     description: Login with Twitter credentials and retrieve profile information
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Credentials'
+ *     responses:
+ *       200:
+ *         description: Login successful, returns profile information
+ *       401:
+ *         description: Authentication failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/api/login', authorize('read'), validateCredentials, async (req, res) => {
+    try {
+        const profile = await twitterHelper.getProfile(req.body);
+        res.json(profile);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/profile/{user}:
+ *   post:
+ *     summary: Get a user's profile
+ *     description: Retrieve profile information for a specific user
+ *     parameters:
+ *       - in: path
+ *         name: user
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Twitter username to get profile for
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Credentials'
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved profile
+ *       500:
+ *         description: Error retrieving profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/api/profile/:user', authorize('read'), validateReadCredentials, async (req, res) => {
+    try {
+        const profile = await readWith(req, res, credentials => twitterHelper.getTargetProfile(
+            credentials,
+            req.params.user
+        ));
+        res.json(profile);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/tweets/{userId}:
+ *   post:
+ *     summary: Get user tweets
+ *     description: Retrieve tweets from a specific user
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Twitter user ID or username
+ *       - $ref: '#/components/parameters/CacheControl'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Credentials'
+ *               - type: object
+ *                 properties:
+ *                   count:
+ *                     type: integer
+ *                     description: Number of tweets to retrieve
+ *                     default: 10
+ *                   cursor:
+ *                     type: string
+ *                     description: nextCursor from a previous page
+ *                   maxAge:
+ *                     type: integer
+ *                     description: Only accept cached data up to this many seconds old
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved tweets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TweetPage'
+ *       500:
+ *         description: Error retrieving tweets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/api/tweets/:userId', authorize('read'), validateReadCredentials, async (req, res) => {
+    try {
+        const { count = 10, cursor } = req.body;
+        const cache = cacheOptions(req);
+        const tweets = await readWith(req, res, credentials => twitterHelper.getUserTweets(
+            credentials,
+            req.params.userId,
+            count,
+            cursor,
+            cache
+        ));
+        res.json(tweets);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/timeline:
+ *   post:
+ *     summary: Get home timeline
+ *     description: Retrieve tweets from the home timeline
+ *     parameters:
+ *       - $ref: '#/components/parameters/CacheControl'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Credentials'
+ *               - type: object
+ *                 properties:
+ *                   count:
+ *                     type: integer
+ *                     description: Number of tweets to retrieve
+ *                     default: 10
+ *                   following:
+ *                     type: boolean
+ *                     description: Get tweets from following only
+ *                     default: false
+ *                   cursor:
+ *                     type: string
+ *                     description: nextCursor from a previous page
+ *                   maxAge:
+ *                     type: integer
+ *                     description: Only accept cached data up to this many seconds old
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved timeline
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TweetPage'
+ *       500:
+ *         description: Error retrieving timeline
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/api/timeline', authorize('read'), validateCredentials, async (req, res) => {
+    try {
+        const { count = 10, following = false, cursor } = req.body;
+        const tweets = await twitterHelper.fetchHomeTimeline(
+            req.body,
+            count,
+            following,
+            cursor,
+            cacheOptions(req)
+        );
+        res.json(tweets);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/mentions:
+ *   post:
+ *     summary: Get mentions
+ *     description: |
+ *       Retrieve tweets mentioning the logged-in account, newest first, including replies and quote tweets.
+ *       With sinceId or newOnly, pages are followed until the older mention is reached, up to 5 pages.
+ *       With sinceId, nextCursor is set when more new mentions remain than were read. With newOnly, the
+ *       mark only moves once every new mention was returned; until then hasMore is true and the next
+ *       call carries on where this one stopped.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Credentials'
+ *               - type: object
+ *                 properties:
+ *                   count:
+ *                     type: integer
+ *                     description: Number of mentions per page
+ *                     default: 20
+ *                     maximum: 100
+ *                   cursor:
+ *                     type: string
+ *                     description: nextCursor from a previous page
+ *                   sinceId:
+ *                     type: string
+ *                     description: Only return mentions newer than this tweet id
+ *                   newOnly:
+ *                     type: boolean
+ *                     description: Only return mentions newer than the account's high-water mark, then advance the mark. Cannot be combined with cursor.
+ *                     default: false
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved mentions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MentionsPage'
+ *       400:
+ *         description: Invalid count or sinceId, or newOnly with sinceId or cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Error retrieving mentions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/api/mentions', authorize('read'), validateCredentials, async (req, res) => {
+    try {
+        const { count = MentionsFeed.DEFAULT_COUNT, cursor, sinceId, newOnly = false } = req.body;
+        if (!Number.isInteger(count) || count < 1 || count > MentionsFeed.MAX_COUNT) {
+            return sendError(res, new ValidationError(`count must be an integer from 1 to ${MentionsFeed.MAX_COUNT}`));
+        }
+        if (sinceId !== undefined && !/^\d+$/.test(sinceId)) {
+            return sendError(res, new ValidationError('sinceId must be a tweet id'));
+        }
+        if (sinceId && newOnly) {
+            return sendError(res, new ValidationError('Use either sinceId or newOnly, not both'));
+        }
+        if (cursor && newOnly) {
+            return sendError(res, new ValidationError('newOnly resumes on its own and does not take a cursor'));
+        }
+
+        const mentions = await mentionsFeed.fetch(req.body, { count, cursor, sinceId, newOnly: Boolean(newOnly) });
+        res.json(mentions);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/search:
+ *   post:
+ *     summary: Search tweets
+ *     description: Search for tweets with a raw query or a structured filter that is compiled into one
+ *     parameters:
+ *       - $ref: '#/components/parameters/CacheControl'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Credentials'
+ *               - type: object
+ *                 properties:
+ *                   query:
+ *                     type: string
+ *                     description: Search query; required unless filter is given
+ *                   filter:
+ *                     $ref: '#/components/schemas/SearchFilter'
+ *                   maxTweets:
+ *                     type: integer
+ *                     description: Maximum number of tweets to retrieve
+ *                     default: 10
+ *                   mode:
+ *                     type: string
+ *                     description: Search mode
+ *                     enum: [Latest, Top, Photos, Videos]
+ *                     default: Latest
+ *                   cursor:
+ *                     type: string
+ *                     description: Cursor for pagination
+ *                   maxAge:
+ *                     type: integer
+ *                     description: Only accept cached data up to this many seconds old
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved search results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tweets:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Tweet'
+ *                 next:
+ *                   type: string
+ *                   description: Cursor for the next page of results
+ *                 query:
+ *                   type: string
+ *                   description: Query that was searched, compiled from filter when one was given
+ *       400:
+ *         description: Missing query, or invalid filter with each problem in details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Error searching tweets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/api/search', authorize('read'), validateReadCredentials, async (req, res) => {
+    try {
+        const {
+            filter,
+            maxTweets = 10,
+            mode = 'Latest',
+            cursor
+        } = req.body;
+
+        if (req.body.query && filter) {
+            return sendError(res, new ValidationError('Use either query or filter, not both'));
+        }
+        const query = filter ? compileSearchQuery(filter) : req.body.query;
+        if (!query) {
+            return sendError(res, new ValidationError('Query parameter is required'));
+        }
+
+        const cache = cacheOptions(req);
+        const tweets = await readWith(req, res, credentials => twitterHelper.searchTweets(
+            credentials,
+            query,
+            maxTweets,
+            SearchMode[mode],
+            cursor,
+            cache
+        ));
+        res.json({ ...tweets, query });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/tweet:
+ *   post:
+ *     summary: Post a tweet
+ *     description: Create a new tweet, retweet, or quote tweet with optional media attachments. Media is checked against Twitter's limits (up to 4 images of 5MB, or one GIF of 15MB, or one MP4/MOV video of 512MB and at most 140s) using its detected type, and rejected with 400 otherwise.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Credentials'
+ *               - type: object
+ *                 properties:
+ *                   text:
+ *                     type: string
+ *                   quote_tweet_id:
+ *                     type: string
+ *                   reply_to_id:
+ *                     type: string
+ *                   media:
+ *                     type: array
+ *                     description: Media files
+ *                     items:
+ *                       type: string
+ *                       format: binary
+ *                   altText:
+ *                     type: array
+ *                     description: Alt text for each image, in the same order as media
+ *                     items:
+ *                       type: string
+ *                   mediaIds:
+ *                     type: array
+ *                     description: Handles returned by /api/media
+ *                     items:
+ *                       type: string
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Credentials'
+ *               - type: object
+ *                 properties:
+ *                   text:
+ *                     type: string
+ *                     description: The tweet text
+ *                   quote_tweet_id:
+ *                     type: string
+ *                     description: ID of the tweet to quote
+ *                   reply_to_id:
+ *                     type: string
+ *                     description: ID of the tweet to reply to
+ *                   mediaData:
+ *                     type: array
+ *                     description: Array of media objects with raw bytes data
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         data:
+ *                           type: string
+ *                           description: Base64 encoded image/video bytes or array of byte values
+ *                         mediaType:
+ *                           type: string
+ *                           description: MIME type (e.g., 'image/jpeg', 'image/png', 'video/mp4'); the type detected from the data takes precedence
+ *                           example: 'image/jpeg'
+ *                         altText:
+ *                           type: string
+ *                           description: Alt text for images
+ *                   mediaIds:
+ *                     type: array
+ *                     description: Handles returned by /api/media
+ *                     items:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Successfully posted tweet
+ *       400:
+ *         description: Missing required parameters or invalid media
+ *       404:
+ *         description: Unknown media handle
+ *       500:
+ *         description: Error posting tweet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/api/tweet', authorize('post'), parseMultipart, validateCredentials, async (req, res) => {
+    try {
+        const { text, quote_tweet_id } = req.body;
+
+        // Reject bad media before any Twitter session is touched
+        const processedMediaData = await collectMedia(req);
+
+        if (!text && !quote_tweet_id && processedMediaData.length === 0) {
+            return sendError(res, new ValidationError('Text, quote_tweet_id, or media is required'));
+        }
+
+        const credentials = {
+            ...req.body,
+            mediaData: processedMediaData.length > 0 ? processedMediaData : undefined
+        };
+
+        const tweet = await twitterHelper.sendTweet(credentials);
+        res.json(tweet);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/tweet/poll:
+ *   post:
+ *     summary: Post a tweet with poll
+ *     description: Create a new tweet with a poll
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Credentials'
+ *               - type: object
+ *                 required:
+ *                   - text
+ *                   - options
+ *                 properties:
+ *                   text:
+ *                     type: string
+ *                     description: The tweet text
+ *                   options:
+ *                     type: array
+ *                     description: Poll options (2-4 options)
+ *                     items:
+ *                       type: string
+ *                   durationMinutes:
+ *                     type: integer
+ *                     description: Poll duration in minutes
+ *                     default: 120
+ *     responses:
+ *       200:
+ *         description: Successfully posted tweet with poll
+ *       400:
+ *         description: Missing required parameters or invalid poll options
+ *       500:
+ *         description: Error posting tweet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/api/tweet/poll', authorize('post'), validateCredentials, async (req, res) => {
+    try {
+        const { text, options, durationMinutes = 120 } = req.body;
+        if (!text || !options || !Array.isArray(options)) {
+            return sendError(res, new ValidationError('Text and options array are required'));
+        }
+        if (options.length < 2 || options.length > 4) {
+            return sendError(res, new ValidationError('Poll must have between 2 and 4 options'));
+        }
+
+        const tweet = await twitterHelper.sendTweetWithPoll(
+            req.body,
+            text,
+            options,
+            durationMinutes
+        );
+        res.json(tweet);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/media:
+ *   post:
+ *     summary: Upload media
+ *     description: Validate and store media, returning handles that can be passed as mediaIds to /api/tweet within 24 hours. Accepts multipart files or base64 mediaData. No Twitter session is used.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               media:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               altText:
+ *                 type: array
+ *                 description: Alt text for each image, in the same order as media
+ *                 items:
+ *                   type: string
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mediaData:
+ *                 type: array
+ *                 description: Array of media objects, as in /api/tweet
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       201:
+ *         description: Media stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/MediaUpload'
+ *       400:
+ *         description: Missing or invalid media
+ */
+app.post('/api/media', authorize('post'), parseMultipart, async (req, res) => {
+    try {
+        const media = await collectMedia(req);
+        if (media.length === 0) {
+            return sendError(res, new ValidationError('media files or mediaData are required'));
+        }
+
+        const uploads = [];
+        for (const item of media) {
+            uploads.push(await mediaStore.store(item, req.apiKey?.id));
+        }
+        res.status(201).json(uploads);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/tweet/schedule:
+ *   post:
+ *     summary: Schedule a tweet
+ *     description: Store a tweet to be published later by the background dispatcher. Accepts the same payload as /api/tweet plus publishAt, and requires a registered account (accountId) so no password is stored with the job.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - accountId
+ *               - publishAt
+ *             properties:
+ *               accountId:
+ *                 type: string
+ *                 description: Handle of a registered account
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When to publish the tweet
+ *               text:
+ *                 type: string
+ *                 description: The tweet text
+ *               quote_tweet_id:
+ *                 type: string
+ *                 description: ID of the tweet to quote
+ *               reply_to_id:
+ *                 type: string
+ *                 description: ID of the tweet to reply to
+ *               mediaData:
+ *                 type: array
+ *                 description: Array of media objects, as in /api/tweet
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     data:
+ *                       type: string
+ *                       description: Base64 encoded image/video bytes or array of byte values
+ *                     mediaType:
+ *                       type: string
+ *                       example: 'image/jpeg'
+ *     responses:
+ *       201:
+ *         description: Tweet scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScheduledTweet'
+ *       400:
+ *         description: Missing or invalid parameters
+ *   get:
+ *     summary: List scheduled tweets
+ *     parameters:
+ *       - in: query
+ *         name: username
+ *         schema:
+ *           type: string
+ *         description: Only jobs for this Twitter username
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, sent, failed, cancelled, unknown]
+ *         description: Only jobs with this status
+ *     responses:
+ *       200:
+ *         description: Scheduled tweets ordered by publishAt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ScheduledTweet'
+ */
+app.post('/api/tweet/schedule', authorize('post'), validateCredentials, async (req, res) => {
+    try {
+        const { accountId, username, text, reply_to_id, quote_tweet_id, mediaData } = req.body;
+        const publishAt = new Date(req.body.publishAt);
+
+        if (!accountId) {
+            return sendError(res, new ValidationError('Scheduling requires a registered account (accountId)'));
+        }
+        if (!req.body.publishAt || isNaN(publishAt.getTime())) {
+            return sendError(res, new ValidationError('publishAt must be a valid date'));
+        }
+        if (!text && !quote_tweet_id && (!mediaData || mediaData.length === 0)) {
+            return sendError(res, new ValidationError('Text, quote_tweet_id, or mediaData is required'));
+        }
+
+        const processedMediaData = validateMedia(decodeMediaData(mediaData));
+
+        const job = await tweetScheduler.schedule({
+            accountId,
+            username,
+            tweet: { text, reply_to_id, quote_tweet_id, mediaData: processedMediaData },
+            publishAt
+        });
+        res.status(201).json(job);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.get('/api/tweet/schedule', authorize('post'), async (req, res) => {
+    try {
+        const { username, status } = req.query;
+        if (status && !Object.values(JOB_STATUS).includes(status)) {
+            return sendError(res, new ValidationError(`status must be one of: ${Object.values(JOB_STATUS).join(', ')}`));
+        }
+        if (username !== undefined && typeof username !== 'string') {
+            return sendError(res, new ValidationError('username must be a single string'));
+        }
+        if (username && !canActAs(req, username)) {
+            return sendError(res, new ForbiddenError(`API key is not allowed to act as ${username}`));
+        }
+
+        // Keys scoped to specific usernames only see their own jobs
+        let usernames = username ? [username] : undefined;
+        if (!username && req.apiKey && !req.apiKey.usernames.includes(ALL_USERNAMES)) {
+            usernames = req.apiKey.usernames;
+        }
+
+        const jobs = await tweetScheduler.list({ usernames, status });
+        res.json(jobs);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Middleware to load a scheduled job and check the API key may act as its account
+const loadScheduledJob = async (req, res, next) => {
+    try {
+        const job = await tweetScheduler.get(req.params.jobId);
+        if (!job || !canActAs(req, job.username)) {
+            return sendError(res, new NotFoundError(`Scheduled tweet ${req.params.jobId} not found`));
+        }
+        req.job = job;
+        next();
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+/**
+ * @swagger
+ * /api/tweet/schedule/{jobId}:
+ *   get:
+ *     summary: Get a scheduled tweet
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The scheduled tweet and its outcome
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScheduledTweet'
+ *       404:
+ *         description: Scheduled tweet not found
+ *   patch:
+ *     summary: Reschedule a tweet
+ *     description: Change publishAt of a pending scheduled tweet
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - publishAt
+ *             properties:
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Tweet rescheduled
+ *       400:
+ *         description: Invalid publishAt
+ *       404:
+ *         description: Scheduled tweet not found
+ *       409:
+ *         description: Tweet is no longer pending
+ *   delete:
+ *     summary: Cancel a scheduled tweet
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tweet cancelled
+ *       404:
+ *         description: Scheduled tweet not found
+ *       409:
+ *         description: Tweet is no longer pending
+ */
+app.get('/api/tweet/schedule/:jobId', authorize('post'), loadScheduledJob, (req, res) => {
+    res.json(req.job);
+});
+
+app.patch('/api/tweet/schedule/:jobId', authorize('post'), loadScheduledJob, async (req, res) => {
+    try {
+        const publishAt = new Date(req.body.publishAt);
+        if (!req.body.publishAt || isNaN(publishAt.getTime())) {
+            return sendError(res, new ValidationError('publishAt must be a valid date'));
+        }
+
+        const job = await tweetScheduler.reschedule(req.params.jobId, publishAt);
+        if (!job) {
+            return sendError(res, new ConflictError(`Scheduled tweet is ${req.job.status}, not pending`));
+        }
+        res.json(job);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.delete('/api/tweet/schedule/:jobId', authorize('post'), loadScheduledJob, async (req, res) => {
+    try {
+        const job = await tweetScheduler.cancel(req.params.jobId);
+        if (!job) {
+            return sendError(res, new ConflictError(`Scheduled tweet is ${req.job.status}, not pending`));
+        }
+        res.json(job);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/tweet/{id}:
+ *   post:
+ *     summary: Get a specific tweet
+ *     description: Retrieve a specific tweet by ID
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the tweet to retrieve
+ *       - $ref: '#/components/parameters/CacheControl'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Credentials'
+ *               - type: object
+ *                 properties:
+ *                   maxAge:
+ *                     type: integer
+ *                     description: Only accept cached data up to this many seconds old
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved tweet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Tweet'
+ *       500:
+ *         description: Error retrieving tweet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/api/tweet/:id', authorize('read'), validateReadCredentials, async (req, res) => {
+    try {
+        const cache = cacheOptions(req);
+        const tweet = await readWith(req, res, credentials => twitterHelper.getTweet(credentials, req.params.id, cache));
+        res.json(tweet);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/tweet/{id}/conversation:
+ *   post:
+ *     summary: Get the conversation of a tweet
+ *     description: Return the conversation's root tweet, the root author's self-thread in order and the replies as a tree, down to maxDepth. Nodes reference their parent and children by id. Threads of replies hidden behind "Show more replies" are expanded down to maxDepth. Large conversations are paginated; later pages only carry more replies, and replies whose parent is on no page read so far are left out.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Any tweet of the conversation
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Credentials'
+ *               - type: object
+ *                 properties:
+ *                   maxDepth:
+ *                     type: integer
+ *                     default: 3
+ *                     maximum: 10
+ *                     description: Deepest reply level to include (1 for direct replies only)
+ *                   cursor:
+ *                     type: string
+ *                     description: nextCursor from a previous page
+ *     responses:
+ *       200:
+ *         description: The conversation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Conversation'
+ *       400:
+ *         description: Invalid maxDepth or cursor
+ *       404:
+ *         description: Tweet not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/api/tweet/:id/conversation', authorize('read'), validateReadCredentials, async (req, res) => {
+    try {
+        const { maxDepth = DEFAULT_REPLY_DEPTH, cursor } = req.body;
+        if (!Number.isInteger(maxDepth) || maxDepth < 1 || maxDepth > MAX_REPLY_DEPTH) {
+            return sendError(res, new ValidationError(`maxDepth must be an integer from 1 to ${MAX_REPLY_DEPTH}`));
+        }
+
+        const conversation = await readWith(req, res, credentials => twitterHelper.getConversation(
+            credentials,
+            req.params.id,
+            maxDepth,
+            cursor
+        ));
+        res.json(conversation);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+const MAX_BATCH_SIZE = 100;
+
+// Distinct non-empty strings of a batch request, or a validation error
+const batchKeys = (values, field) => {
+    if (!Array.isArray(values) || values.length === 0 || values.some(value => typeof value !== 'string' || !value)) {
+        throw new ValidationError(`${field} must be a non-empty array of strings`);
+    }
+    const keys = [...new Set(values)];
+    if (keys.length > MAX_BATCH_SIZE) {
+        throw new ValidationError(`A batch can have at most ${MAX_BATCH_SIZE} ${field}`);
+    }
+    return keys;
+};
+
+/**
+ * @swagger
+ * /api/batch/profiles:
+ *   post:
+ *     summary: Get many profiles
+ *     description: Look up profiles of many users with one session. Cached profiles are returned first and the rest are fetched a few at a time. Each user gets its own result, so one failure does not fail the batch.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Credentials'
+ *               - type: object
+ *                 required:
+ *                   - usernames
+ *                 properties:
+ *                   usernames:
+ *                     type: array
+ *                     maxItems: 100
+ *                     items:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: One result per distinct username, in request order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchResults'
+ *       400:
+ *         description: Missing or too many usernames
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Error starting the batch, such as a failed login
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/api/batch/profiles', authorize('read'), validateReadCredentials, async (req, res) => {
+    try {
+        const usernames = batchKeys(req.body.usernames, 'usernames');
+        const results = await readWith(req, res, credentials => twitterHelper.getProfiles(credentials, usernames));
+        res.json({ results });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/batch/tweets:
+ *   post:
+ *     summary: Get many tweets
+ *     description: Look up many tweets by id with one session. Tweets cached in the last 30 minutes are returned first and the rest are fetched a few at a time. Each tweet gets its own result, so one failure does not fail the batch.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Credentials'
+ *               - type: object
+ *                 required:
+ *                   - ids
+ *                 properties:
+ *                   ids:
+ *                     type: array
+ *                     maxItems: 100
+ *                     items:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: One result per distinct tweet id, in request order; data is a Tweet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchResults'
+ *       400:
+ *         description: Missing or too many ids
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Error starting the batch, such as a failed login
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/api/batch/tweets', authorize('read'), validateReadCredentials, async (req, res) => {
+    try {
+        const ids = batchKeys(req.body.ids, 'ids');
+        const results = await readWith(req, res, credentials => twitterHelper.getTweets(credentials, ids));
+        res.json({ results });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Route handler for a tweet engagement action
+const tweetActionHandler = (action) => async (req, res) => {
+    try {
+        const result = await twitterHelper.engageTweet(req.body, req.params.id, action);
+        res.json(result);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+/**
+ * @swagger
+ * /api/tweet/{id}/like:
+ *   post:
+ *     summary: Like a tweet
+ *     description: Like a tweet as the authenticated account
+ *     parameters:
+ *       - $ref: '#/components/parameters/TweetId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Credentials'
+ *     responses:
+ *       200:
+ *         description: Action performed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TweetActionResult'
+ *       500:
+ *         description: Error performing the action
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Unlike a tweet
+ *     description: Remove a like from a tweet
+ *     parameters:
+ *       - $ref: '#/components/parameters/TweetId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Credentials'
+ *     responses:
+ *       200:
+ *         description: Action performed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TweetActionResult'
+ *       500:
+ *         description: Error performing the action
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/api/tweet/:id/like', authorize('post'), validateCredentials, tweetActionHandler('like'));
+app.delete('/api/tweet/:id/like', authorize('post'), validateCredentials, tweetActionHandler('unlike'));
+
+/**
+ * @swagger
+ * /api/tweet/{id}/retweet:
+ *   delete:
+ *     summary: Undo a retweet
+ *     description: Remove the authenticated account's retweet of a tweet
+ *     parameters:
+ *       - $ref: '#/components/parameters/TweetId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Credentials'
+ *     responses:
+ *       200:
+ *         description: Action performed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TweetActionResult'
+ *       500:
+ *         description: Error performing the action
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.delete('/api/tweet/:id/retweet', authorize('post'), validateCredentials, tweetActionHandler('unretweet'));
+
+/**
+ * @swagger
+ * /api/tweet/{id}/bookmark:
+ *   post:
+ *     summary: Bookmark a tweet
+ *     description: Add a tweet to the authenticated account's bookmarks
+ *     parameters:
+ *       - $ref: '#/components/parameters/TweetId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Credentials'
+ *     responses:
+ *       200:
+ *         description: Action performed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TweetActionResult'
+ *       500:
+ *         description: Error performing the action
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Remove a bookmark
+ *     description: Remove a tweet from the authenticated account's bookmarks
+ *     parameters:
+ *       - $ref: '#/components/parameters/TweetId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Credentials'
+ *     responses:
+ *       200:
+ *         description: Action performed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TweetActionResult'
+ *       500:
+ *         description: Error performing the action
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/api/tweet/:id/bookmark', authorize('post'), validateCredentials, tweetActionHandler('bookmark'));
+app.delete('/api/tweet/:id/bookmark', authorize('post'), validateCredentials, tweetActionHandler('unbookmark'));
+
+/**
+ * @swagger
+ * /api/tweet/{id}:
+ *   delete:
+ *     summary: Delete a tweet
+ *     description: Delete one of the authenticated account's own tweets
+ *     parameters:
+ *       - $ref: '#/components/parameters/TweetId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Credentials'
+ *     responses:
+ *       200:
+ *         description: Action performed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TweetActionResult'
+ *       500:
+ *         description: Error performing the action
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.delete('/api/tweet/:id', authorize('post'), validateCredentials, tweetActionHandler('delete'));
+
+/**
+ * @swagger
+ * /api/thread:
+ *   post:
+ *     summary: Post a thread
+ *     description: Post an ordered list of tweets, each one replying to the previous. Posting stops at the first failure and the response reports which tweets were posted; the thread can then be resumed with its id.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Credentials'
+ *               - type: object
+ *                 required:
+ *                   - tweets
+ *                 properties:
+ *                   tweets:
+ *                     type: array
+ *                     description: Tweets in thread order (at most 25)
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         text:
+ *                           type: string
+ *                         mediaData:
+ *                           type: array
+ *                           description: Array of media objects, as in /api/tweet
+ *                           items:
+ *                             type: object
+ *                   reply_to_id:
+ *                     type: string
+ *                     description: Post the thread as a reply to this tweet
+ *     responses:
+ *       200:
+ *         description: Thread posted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ThreadJob'
+ *       400:
+ *         description: Missing or invalid tweets
+ *       default:
+ *         description: Thread stopped at a failed tweet. The status is that of the error (errorCode), such as 429 with Retry-After, and the body is the thread with the tweets posted so far.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ThreadJob'
+ */
+// Answer with a thread job. A failed thread gets the status of the error that stopped it,
+// with Retry-After for rate limits, and still carries the tweets posted so far.
+const sendThread = (res, thread) => {
+    if (thread.status !== THREAD_STATUS.FAILED) {
+        return res.json(thread);
+    }
+    if (thread.retryAt) {
+        res.set('Retry-After', String(Math.max(0, Math.ceil((thread.retryAt.getTime() - Date.now()) / 1000))));
+    }
+    return res.status(ERROR_STATUS[thread.errorCode] || 500).json(thread);
+};
+
+app.post('/api/thread', authorize('post'), validateCredentials, async (req, res) => {
+    try {
+        const { username, tweets, reply_to_id } = req.body;
+
+        if (!Array.isArray(tweets) || tweets.length === 0) {
+            return sendError(res, new ValidationError('tweets array is required'));
+        }
+        if (tweets.length > ThreadPoster.MAX_TWEETS) {
+            return sendError(res, new ValidationError(`A thread can have at most ${ThreadPoster.MAX_TWEETS} tweets`));
+        }
+
+        const threadTweets = tweets.map((tweet, index) => {
+            if (!tweet || typeof tweet !== 'object' || Array.isArray(tweet)) {
+                throw new ValidationError(`Tweet ${index} must be an object with text and/or mediaData`);
+            }
+            const { text, mediaData } = tweet;
+            if (text !== undefined && typeof text !== 'string') {
+                throw new ValidationError(`Tweet ${index} text must be a string`);
+            }
+            if (!text && (!mediaData || mediaData.length === 0)) {
+                throw new ValidationError(`Tweet ${index} needs text or mediaData`);
+            }
+            return { text, mediaData: validateMedia(decodeMediaData(mediaData)) };
+        });
+
+        const document = await threadPoster.create({ username, tweets: threadTweets, reply_to_id });
+        const thread = await threadPoster.post(req.body, document);
+        sendThread(res, thread);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/thread/{threadId}:
+ *   get:
+ *     summary: Get a thread job
+ *     parameters:
+ *       - in: path
+ *         name: threadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Thread progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ThreadJob'
+ *       404:
+ *         description: Thread not found
+ */
+app.get('/api/thread/:threadId', authorize('post'), async (req, res) => {
+    try {
+        const thread = await threadPoster.get(req.params.threadId);
+        if (!thread || !canActAs(req, thread.username)) {
+            return sendError(res, new NotFoundError(`Thread ${req.params.threadId} not found`));
+        }
+        res.json(thread);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/thread/{threadId}/resume:
+ *   post:
+ *     summary: Resume a failed thread
+ *     description: Continue posting a failed thread from the tweet that failed, replying to the last tweet that was posted. A thread still in progress that has not posted a tweet for 15 minutes, because the request that posted it stopped, can be resumed too. Must use the same account that started the thread.
+ *     parameters:
+ *       - in: path
+ *         name: threadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Credentials'
+ *     responses:
+ *       200:
+ *         description: Thread completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ThreadJob'
+ *       404:
+ *         description: Thread not found
+ *       409:
+ *         description: Thread is completed, or still being posted
+ *       default:
+ *         description: Thread stopped at a failed tweet again, answered with the status of the error as when posting
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ThreadJob'
+ */
+app.post('/api/thread/:threadId/resume', authorize('post'), validateCredentials, async (req, res) => {
+    try {
+        const existing = await threadPoster.get(req.params.threadId);
+        if (!existing || existing.username !== req.body.username) {
+            return sendError(res, new NotFoundError(`Thread ${req.params.threadId} not found`));
+        }
+
+        const document = await threadPoster.claimForResume(req.params.threadId);
+        if (!document) {
+            return sendError(res, new ConflictError(`Thread is ${existing.status}, only failed threads and threads stalled for ${ThreadPoster.LEASE_MS / 60000} minutes can be resumed`));
+        }
+
+        const thread = await threadPoster.post(req.body, document);
+        sendThread(res, thread);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/following/{userId}:
+ *   post:
+ *     summary: Get users followed by a specific user
+ *     description: Retrieve a list of users that a specific user is following
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user whose following list to retrieve
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Credentials'
+ *               - type: object
+ *                 properties:
+ *                   count:
+ *                     type: integer
+ *                     description: Number of following users to retrieve
+ *                     default: 100
+ *                   cursor:
+ *                     type: string
+ *                     description: nextCursor from a previous page
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved following list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
+ *       500:
+ *         description: Error retrieving following list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/api/following/:userId', authorize('read'), validateReadCredentials, async (req, res) => {
+    try {
+        const { count = 100, cursor } = req.body;
+        const following = await readWith(req, res, credentials => twitterHelper.getFollowing(
+            credentials,
+            req.params.userId,
+            count,
+            cursor
+        ));
+        res.json(following);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/followers/{userId}:
+ *   post:
+ *     summary: Get followers of a specific user
+ *     description: Retrieve a list of users that follow a specific user
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user whose followers to retrieve
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Credentials'
+ *               - type: object
+ *                 properties:
+ *                   count:
+ *                     type: integer
+ *                     description: Number of followers to retrieve
+ *                     default: 100
+ *                   cursor:
+ *                     type: string
+ *                     description: nextCursor from a previous page
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved followers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
+ *       500:
+ *         description: Error retrieving followers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/api/followers/:userId', authorize('read'), validateReadCredentials, async (req, res) => {
+    try {
+        const { count = 100, cursor } = req.body;
+        const followers = await readWith(req, res, credentials => twitterHelper.getFollowers(
+            credentials,
+            req.params.userId,
+            count,
+            cursor
+        ));
+        res.json(followers);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Route handler for a follow action
+const userActionHandler = (action) => async (req, res) => {
+    try {
+        const result = await twitterHelper.engageUser(req.body, req.params.username, action);
+        res.json(result);
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+/**
+ * @swagger
+ * /api/follow/{username}:
+ *   post:
+ *     summary: Follow a user
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Username to follow
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Credentials'
+ *     responses:
+ *       200:
+ *         description: User followed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserActionResult'
+ *       500:
+ *         description: Error following the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Unfollow a user
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Username to unfollow
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Credentials'
+ *     responses:
+ *       200:
+ *         description: User unfollowed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserActionResult'
+ *       500:
+ *         description: Error unfollowing the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/api/follow/:username', authorize('post'), validateCredentials, userActionHandler('follow'));
+app.delete('/api/follow/:username', authorize('post'), validateCredentials, userActionHandler('unfollow'));
+
+/**
+ * @swagger
+ * /api/dm/conversations:
+ *   post:
+ *     summary: List DM conversations
+ *     description: List the direct message conversations of the authenticated account, each with its participants and latest message
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Credentials'
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved conversations
+ *       500:
+ *         description: Error retrieving conversations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/api/dm/conversations', authorize('read'), validateCredentials, async (req, res) => {
+    try {
+        const conversations = await twitterHelper.getDirectMessageConversations(req.body);
+        res.json(conversations);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/dm/conversations/{conversationId}:
+ *   post:
+ *     summary: Get messages in a DM conversation
+ *     description: Retrieve messages in a conversation, newest first
+ *     parameters:
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Conversation ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Credentials'
+ *               - type: object
+ *                 properties:
+ *                   cursor:
+ *                     type: string
+ *                     description: nextCursor from a previous page, to fetch older messages
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved messages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
+ *       500:
+ *         description: Error retrieving messages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/api/dm/conversations/:conversationId', authorize('read'), validateCredentials, async (req, res) => {
+    try {
+        const messages = await twitterHelper.getDirectMessages(
+            req.body,
+            req.params.conversationId,
+            req.body.cursor
+        );
+        res.json(messages);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/dm/send:
+ *   post:
+ *     summary: Send a direct message
+ *     description: Send a DM with text and/or one media attachment to an existing conversation
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Credentials'
+ *               - type: object
+ *                 required:
+ *                   - conversationId
+ *                 properties:
+ *                   conversationId:
+ *                     type: string
+ *                     description: Conversation ID (for one-to-one conversations, both user IDs joined with '-')
+ *                   text:
+ *                     type: string
+ *                     description: Message text
+ *                   mediaData:
+ *                     type: array
+ *                     description: At most one media object, as in /api/tweet
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         data:
+ *                           type: string
+ *                           description: Base64 encoded image/video bytes or array of byte values
+ *                         mediaType:
+ *                           type: string
+ *                           example: 'image/jpeg'
+ *     responses:
+ *       200:
+ *         description: Message sent
+ *       400:
+ *         description: Missing or invalid parameters
+ *       500:
+ *         description: Error sending message
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+app.post('/api/dm/send', authorize('post'), validateCredentials, async (req, res) => {
+    try {
+        const { conversationId, text, mediaData } = req.body;
+
+        if (!conversationId) {
+            return sendError(res, new ValidationError('conversationId is required'));
+        }
+        if (!text && (!mediaData || mediaData.length === 0)) {
+            return sendError(res, new ValidationError('Text or mediaData is required'));
+        }
+        if (mediaData && mediaData.length > 1) {
+            return sendError(res, new ValidationError('A direct message can have at most one media attachment'));
+        }
+
+        const processedMediaData = decodeMediaData(mediaData);
+
+        const result = await twitterHelper.sendDirectMessage(
+            req.body,
+            conversationId,
+            text,
+            processedMediaData[0]
+        );
+        res.json(result);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/graph/tracked:
+ *   get:
+ *     summary: List tracked accounts
+ *     description: List accounts whose followers and following are snapshotted periodically. Keys scoped to usernames only see accounts tracked with those usernames.
+ *     responses:
+ *       200:
+ *         description: Tracked accounts with their last snapshot time and error
+ */
+app.get('/api/graph/tracked', authorize('read'), async (req, res) => {
+    try {
+        const tracked = await graphTracker.listTracked({ usernames: scopedUsernames(req) });
+        res.json(tracked);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/graph/{userId}/track:
+ *   post:
+ *     summary: Track an account's social graph
+ *     description: Snapshot the followers and following of a user periodically (GRAPH_SNAPSHOT_INTERVAL_MS, default daily). Requires a registered account (accountId), which is used by the background job to fetch the lists.
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user to track
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Credentials'
+ *     responses:
+ *       200:
+ *         description: Account is tracked
+ *       400:
+ *         description: No registered account given
+ *       409:
+ *         description: The user is already tracked with an account the API key may not act as
+ *   delete:
+ *     summary: Stop tracking an account
+ *     description: Stop taking snapshots. Existing snapshots are kept.
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account is no longer tracked
+ *       404:
+ *         description: Account was not tracked
+ */
+app.post('/api/graph/:userId/track', authorize('read'), validateCredentials, async (req, res) => {
+    try {
+        const { accountId, username } = req.body;
+        if (!accountId) {
+            return sendError(res, new ValidationError('Tracking requires a registered account (accountId)'));
+        }
+
+        // Another team's tracking of the same user is not taken over
+        const existing = await graphTracker.getTracking(req.params.userId);
+        if (existing && !canActAs(req, existing.username)) {
+            return sendError(res, new ConflictError(`User ${req.params.userId} is already tracked with another account`));
+        }
+
+        const tracking = await graphTracker.track({ userId: req.params.userId, accountId, username });
+        res.json(tracking);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Middleware to load a tracked account and check the API key may act as the account that tracks it
+const loadTracking = async (req, res, next) => {
+    try {
+        const tracking = await graphTracker.getTracking(req.params.userId);
+        if (!tracking || !canActAs(req, tracking.username)) {
+            return sendError(res, new NotFoundError(`User ${req.params.userId} is not tracked`));
+        }
+        req.tracking = tracking;
+        next();
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+app.delete('/api/graph/:userId/track', authorize('read'), loadTracking, async (req, res) => {
+    try {
+        await graphTracker.untrack(req.params.userId);
+        res.json({ tracked: false });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/graph/{userId}/snapshot:
+ *   post:
+ *     summary: Take a graph snapshot now
+ *     description: Fetch and store the current followers and following of a user, e.g. right after a campaign
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Credentials'
+ *     responses:
+ *       200:
+ *         description: Snapshots taken
+ *       500:
+ *         description: Error taking snapshots
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   get:
+ *     summary: List graph snapshots
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Snapshots, newest first, without their user lists. Keys scoped to usernames only see snapshots taken with those usernames.
+ */
+app.post('/api/graph/:userId/snapshot', authorize('read'), validateCredentials, async (req, res) => {
+    try {
+        const snapshots = await graphTracker.snapshot(req.body, req.params.userId);
+        res.json(snapshots);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.get('/api/graph/:userId/snapshot', authorize('read'), async (req, res) => {
+    try {
+        const snapshots = await graphTracker.listSnapshots(req.params.userId, { usernames: scopedUsernames(req) });
+        res.json(snapshots);
+    } catch (error) {
+        sendError(res, error);
     }
-    next();
-};
+});
 
 /**
  * @swagger
- * /health:
+ * /api/graph/{userId}/changes:
  *   get:
- *     summary: Health check endpoint
- *     description: Returns a health status of the API
+ *     summary: Get follower/following changes
+ *     description: Users added and removed between the last snapshot taken at or before `since` and the latest snapshot. Without `since`, compares the latest snapshot with the one before it. Keys scoped to usernames only compare snapshots taken with those usernames.
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Compare against the state at this time
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [followers, following]
+ *         description: Only this list (default both)
  *     responses:
  *       200:
- *         description: API is healthy
+ *         description: Changes per list
  *         content:
  *           application/json:
  *             schema:
  *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: OK
+ *               additionalProperties:
+ *                 type: object
+ *                 properties:
+ *                   from:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *                   to:
+ *                     type: string
+ *                     format: date-time
+ *                   partial:
+ *                     type: boolean
+ *                     description: One of the snapshots was cut at 5000 users, so added and removed may include users past the cut who did not follow or unfollow
+ *                   added:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                   removed:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *       400:
+ *         description: Invalid since or type
+ *       404:
+ *         description: No snapshots for this user
  */
-app.get('/health', (req, res) => {
-    res.json({ status: 'OK' });
+app.get('/api/graph/:userId/changes', authorize('read'), async (req, res) => {
+    try {
+        const { type } = req.query;
+        const since = req.query.since ? new Date(req.query.since) : undefined;
+
+        if (since && isNaN(since.getTime())) {
+            return sendError(res, new ValidationError('since must be a valid date'));
+        }
+        if (type && !GRAPH_TYPES.includes(type)) {
+            return sendError(res, new ValidationError(`type must be one of: ${GRAPH_TYPES.join(', ')}`));
+        }
+
+        const changes = {};
+        for (const graphType of type ? [type] : GRAPH_TYPES) {
+            const diff = await graphTracker.changes(req.params.userId, graphType, since, { usernames: scopedUsernames(req) });
+            if (diff) changes[graphType] = diff;
+        }
+
+        if (Object.keys(changes).length === 0) {
+            return sendError(res, new NotFoundError(`No snapshots for user ${req.params.userId}`));
+        }
+        res.json({ userId: req.params.userId, ...changes });
+    } catch (error) {
+        sendError(res, error);
+    }
 });
 
 /**
  * @swagger
- * /api/login:
- *   post:
- *     summary: Login to Twitter
- *     description: Login with Twitter credentials and retrieve profile information
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/Credentials'
+ * /api/archives:
+ *   get:
+ *     summary: List archived accounts
+ *     description: List accounts whose tweets are archived by the background job. Keys scoped to usernames only see archives run by those accounts.
  *     responses:
  *       200:
- *         description: Login successful, returns profile information
- *       401:
- *         description: Authentication failed
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *         description: Archived accounts with their backfill state, last run and error
  */
-app.post('/api/login', validateCredentials, async (req, res) => {
+app.get('/api/archives', authorize('read'), async (req, res) => {
     try {
-        const profile = await twitterHelper.getProfile(req.body);
-        res.json(profile);
+        const archives = await tweetArchive.list({ usernames: scopedUsernames(req) });
+        res.json(archives);
     } catch (error) {
-        res.status(401).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
 /**
  * @swagger
- * /api/profile/{user}:
+ * /api/archives/{userId}:
  *   post:
- *     summary: Get a user's profile
- *     description: Retrieve profile information for a specific user
+ *     summary: Archive an account's tweets
+ *     description: Store every tweet of a user in the tweets collection. A background job reads new tweets and refreshes their metrics every ARCHIVE_INTERVAL_MS (default hourly), and pages back through older tweets a few pages per run until the timeline ends. Requires a registered account (accountId), which is used by the background job.
  *     parameters:
  *       - in: path
- *         name: user
+ *         name: userId
  *         required: true
  *         schema:
  *           type: string
- *         description: Twitter username to get profile for
+ *         description: ID of the user to archive
  *     requestBody:
  *       required: true
  *       content:
@@ -190,450 +3765,693 @@ app.post('/api/login', validateCredentials, async (req, res) => {
  *             $ref: '#/components/schemas/Credentials'
  *     responses:
  *       200:
- *         description: Successfully retrieved profile
- *       500:
- *         description: Error retrieving profile
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *         description: Account is archived
+ *       400:
+ *         description: No registered account given
+ *       409:
+ *         description: User is already archived with an account this API key may not act as
+ *   get:
+ *     summary: Get an archive
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Backfill state, last run, error and number of archived tweets
+ *       404:
+ *         description: Account is not archived
+ *   delete:
+ *     summary: Stop archiving an account
+ *     description: Stop the background job for this user. Archived tweets are kept unless purge is set.
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: purge
+ *         schema:
+ *           type: boolean
+ *         description: Also delete the archived tweets; requires the admin group
+ *     responses:
+ *       200:
+ *         description: Account is no longer archived
+ *       403:
+ *         description: Purging without the admin group
+ *       404:
+ *         description: Account was not archived
  */
-app.post('/api/profile/:user', validateCredentials, async (req, res) => {
+app.post('/api/archives/:userId', authorize('read'), validateCredentials, async (req, res) => {
     try {
-        const profile = await twitterHelper.getTargetProfile(
-            req.body,
-            req.params.user
-        );
-        res.json(profile);
+        const { accountId, username } = req.body;
+        if (!accountId) {
+            return sendError(res, new ValidationError('Archiving requires a registered account (accountId)'));
+        }
+
+        // Another team's archive of the same user is not taken over
+        const existing = await tweetArchive.get(req.params.userId);
+        if (existing && !canActAs(req, existing.username)) {
+            return sendError(res, new ConflictError(`User ${req.params.userId} is already archived with another account`));
+        }
+
+        const archive = await tweetArchive.archive({ userId: req.params.userId, accountId, username });
+        res.json(archive);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Middleware to load an archive and check the API key may act as the account that runs it
+const loadArchive = async (req, res, next) => {
+    try {
+        const archive = await tweetArchive.get(req.params.userId);
+        if (!archive || !canActAs(req, archive.username)) {
+            return sendError(res, new NotFoundError(`User ${req.params.userId} is not archived`));
+        }
+        req.archive = archive;
+        next();
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+app.get('/api/archives/:userId', authorize('read'), loadArchive, (req, res) => {
+    res.json(req.archive);
+});
+
+app.delete('/api/archives/:userId', authorize('read'), loadArchive, async (req, res) => {
+    try {
+        const purge = req.query.purge === 'true';
+        if (purge && !(req.apiKey && keyAllowsGroup(req.apiKey, 'admin'))) {
+            return sendError(res, new ForbiddenError('Purging archived tweets requires the admin group'));
+        }
+
+        await tweetArchive.remove(req.params.userId, { purge });
+        res.json({ archived: false, purged: purge });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
+// Date range and text filter shared by the archive search and export
+const archiveFilter = (query) => {
+    const filter = { text: query.q || undefined };
+    for (const field of ['from', 'to']) {
+        if (query[field]) {
+            filter[field] = new Date(query[field]);
+            if (isNaN(filter[field].getTime())) {
+                throw new ValidationError(`${field} must be a valid date`);
+            }
+        }
+    }
+    return filter;
+};
+
 /**
  * @swagger
- * /api/tweets/{userId}:
- *   post:
- *     summary: Get user tweets
- *     description: Retrieve tweets from a specific user
+ * /api/archives/{userId}/tweets:
+ *   get:
+ *     summary: Search archived tweets
+ *     description: Archived tweets of a user, newest first, optionally within a date range and containing some text
  *     parameters:
  *       - in: path
  *         name: userId
  *         required: true
  *         schema:
  *           type: string
- *         description: Twitter user ID or username
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             allOf:
- *               - $ref: '#/components/schemas/Credentials'
- *               - type: object
- *                 properties:
- *                   count:
- *                     type: integer
- *                     description: Number of tweets to retrieve
- *                     default: 10
+ *       - $ref: '#/components/parameters/ArchiveFrom'
+ *       - $ref: '#/components/parameters/ArchiveTo'
+ *       - $ref: '#/components/parameters/ArchiveText'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from a previous page
  *     responses:
  *       200:
- *         description: Successfully retrieved tweets
- *       500:
- *         description: Error retrieving tweets
+ *         description: Archived tweets, each with firstSeenAt and lastSeenAt
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Error'
+ *               $ref: '#/components/schemas/TweetPage'
+ *       400:
+ *         description: Invalid date, limit or cursor
+ *       404:
+ *         description: Account is not archived
  */
-app.post('/api/tweets/:userId', validateCredentials, async (req, res) => {
+app.get('/api/archives/:userId/tweets', authorize('read'), loadArchive, async (req, res) => {
     try {
-        const { count = 10 } = req.body;
-        const tweets = await twitterHelper.getUserTweets(
-            req.body,
-            req.params.userId,
-            count
-        );
-        res.json(tweets);
+        const limit = req.query.limit ? Number(req.query.limit) : TweetArchive.DEFAULT_LIMIT;
+        if (!Number.isInteger(limit) || limit < 1 || limit > TweetArchive.MAX_LIMIT) {
+            return sendError(res, new ValidationError(`limit must be an integer from 1 to ${TweetArchive.MAX_LIMIT}`));
+        }
+
+        const page = await tweetArchive.search(req.params.userId, archiveFilter(req.query), { limit, cursor: req.query.cursor });
+        res.json(page);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
 /**
  * @swagger
- * /api/timeline:
- *   post:
- *     summary: Get home timeline
- *     description: Retrieve tweets from the home timeline
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             allOf:
- *               - $ref: '#/components/schemas/Credentials'
- *               - type: object
- *                 properties:
- *                   count:
- *                     type: integer
- *                     description: Number of tweets to retrieve
- *                     default: 10
- *                   following:
- *                     type: boolean
- *                     description: Get tweets from following only
- *                     default: false
+ * /api/archives/{userId}/tweets/{tweetId}:
+ *   get:
+ *     summary: Get an archived tweet
+ *     description: An archived tweet with metricsHistory, its metrics each time they were seen to change
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/TweetId'
  *     responses:
  *       200:
- *         description: Successfully retrieved timeline
- *       500:
- *         description: Error retrieving timeline
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *         description: Archived tweet
+ *       404:
+ *         description: Tweet is not in the archive
  */
-app.post('/api/timeline', validateCredentials, async (req, res) => {
+app.get('/api/archives/:userId/tweets/:id', authorize('read'), loadArchive, async (req, res) => {
     try {
-        const { count = 10, following = false } = req.body;
-        const tweets = await twitterHelper.fetchHomeTimeline(
-            req.body,
-            count,
-            following
-        );
-        res.json(tweets);
+        const tweet = await tweetArchive.getTweet(req.params.userId, req.params.id);
+        if (!tweet) {
+            return sendError(res, new NotFoundError(`Tweet ${req.params.id} is not in the archive of ${req.params.userId}`));
+        }
+        res.json(tweet);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
 /**
  * @swagger
- * /api/search:
- *   post:
- *     summary: Search tweets
- *     description: Search for tweets with a query
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             allOf:
- *               - $ref: '#/components/schemas/Credentials'
- *               - type: object
- *                 required:
- *                   - query
- *                 properties:
- *                   query:
- *                     type: string
- *                     description: Search query
- *                   maxTweets:
- *                     type: integer
- *                     description: Maximum number of tweets to retrieve
- *                     default: 10
- *                   mode:
- *                     type: string
- *                     description: Search mode
- *                     enum: [Latest, Top, Photos, Videos]
- *                     default: Latest
- *                   cursor:
- *                     type: string
- *                     description: Cursor for pagination
+ * /api/archives/{userId}/export:
+ *   get:
+ *     summary: Export archived tweets
+ *     description: Stream every matching archived tweet, oldest first, as a download. JSON lines carry full tweets with metricsHistory; CSV has one row per tweet with its current metrics.
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [jsonl, csv]
+ *           default: jsonl
+ *       - $ref: '#/components/parameters/ArchiveFrom'
+ *       - $ref: '#/components/parameters/ArchiveTo'
+ *       - $ref: '#/components/parameters/ArchiveText'
  *     responses:
  *       200:
- *         description: Successfully retrieved search results
- *       400:
- *         description: Missing query parameter
- *       500:
- *         description: Error searching tweets
+ *         description: Archived tweets
  *         content:
- *           application/json:
+ *           application/x-ndjson:
  *             schema:
- *               $ref: '#/components/schemas/Error'
- */
-app.post('/api/search', validateCredentials, async (req, res) => {
-    try {
-        const {
-            query,
-            maxTweets = 10,
-            mode = 'Latest',
-            cursor
-        } = req.body;
-
-        if (!query) {
-            return res.status(400).json({
-                error: 'Query parameter is required'
-            });
+ *               type: string
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid format or date
+ *       404:
+ *         description: Account is not archived
+ */
+app.get('/api/archives/:userId/export', authorize('read'), loadArchive, async (req, res) => {
+    try {
+        const { format = 'jsonl' } = req.query;
+        if (!EXPORT_FORMATS.includes(format)) {
+            return sendError(res, new ValidationError(`format must be one of: ${EXPORT_FORMATS.join(', ')}`));
         }
+        const filter = archiveFilter(req.query);
 
-        const tweets = await twitterHelper.searchTweets(
-            req.body,
-            query,
-            maxTweets,
-            SearchMode[mode],
-            cursor
-        );
-        res.json(tweets);
+        res.set({
+            'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+            'Content-Disposition': `attachment; filename="tweets-${req.params.userId.replace(/\W/g, '')}.${format}"`
+        });
+        await tweetArchive.export(req.params.userId, filter, format, res);
+        res.end();
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        // Once the download has started the status can no longer change, so cut it short
+        if (res.headersSent) {
+            console.error(`Error exporting archive of ${req.params.userId}:`, error.message);
+            return res.destroy(error);
+        }
+        sendError(res, error);
     }
 });
 
 /**
  * @swagger
- * /api/tweet:
+ * /api/watches:
  *   post:
- *     summary: Post a tweet
- *     description: Create a new tweet, retweet, or quote tweet with optional media attachments
+ *     summary: Watch a user or a search for new tweets
+ *     description: A background poller fetches the target's latest tweets every interval with the registered account and POSTs tweets newer than the last one seen to callbackUrl. Each request carries an X-Webhook-Signature header (sha256=HMAC-SHA256 of the raw body with the watch's secret) and is retried with exponential backoff until the callback answers 2xx. The first poll only records where the watch starts.
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             allOf:
- *               - $ref: '#/components/schemas/Credentials'
- *               - type: object
- *                 properties:
- *                   text:
- *                     type: string
- *                     description: The tweet text
- *                   quote_tweet_id:
- *                     type: string
- *                     description: ID of the tweet to quote
- *                   reply_to_id:
- *                     type: string
- *                     description: ID of the tweet to reply to
- *                   mediaData:
- *                     type: array
- *                     description: Array of media objects with raw bytes data
- *                     items:
- *                       type: object
- *                       properties:
- *                         data:
- *                           type: string
- *                           description: Base64 encoded image/video bytes or array of byte values
- *                         mediaType:
- *                           type: string
- *                           description: MIME type (e.g., 'image/jpeg', 'image/png', 'video/mp4')
- *                           example: 'image/jpeg'
+ *             type: object
+ *             required:
+ *               - accountId
+ *               - type
+ *               - target
+ *               - callbackUrl
+ *             properties:
+ *               accountId:
+ *                 type: string
+ *                 description: Registered account used to poll
+ *               type:
+ *                 type: string
+ *                 enum: [user, search]
+ *               target:
+ *                 type: string
+ *                 description: User handle or id, or search query
+ *               callbackUrl:
+ *                 type: string
+ *                 description: http(s) URL that receives new tweets, on a public address
+ *               intervalSeconds:
+ *                 type: integer
+ *                 default: 60
+ *                 description: How often to poll, at least 30 seconds
  *     responses:
- *       200:
- *         description: Successfully posted tweet
+ *       201:
+ *         description: Watch created, with its signing secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Watch'
  *       400:
- *         description: Missing required parameters
- *       500:
- *         description: Error posting tweet
+ *         description: Invalid watch
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *   get:
+ *     summary: List watches
+ *     responses:
+ *       200:
+ *         description: Watches polled by accounts the API key may act as
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Watch'
  */
-app.post('/api/tweet', validateCredentials, async (req, res) => {
+app.post('/api/watches', authorize('read'), validateCredentials, async (req, res) => {
     try {
-        const { text, quote_tweet_id, mediaData } = req.body;
-        
-        if (!text && !quote_tweet_id && (!mediaData || mediaData.length === 0)) {
-            return res.status(400).json({
-                error: 'Text, quote_tweet_id, or mediaData is required'
-            });
-        }
-
-        // Process media data if provided
-        let processedMediaData = [];
-        if (mediaData && Array.isArray(mediaData)) {
-            processedMediaData = mediaData.map(media => {
-                let buffer;
-                
-                // Handle different data formats
-                if (typeof media.data === 'string') {
-                    // Assume base64 encoded string
-                    buffer = Buffer.from(media.data, 'base64');
-                } else if (Array.isArray(media.data)) {
-                    // Array of byte values
-                    buffer = Buffer.from(media.data);
-                } else if (Buffer.isBuffer(media.data)) {
-                    // Already a buffer
-                    buffer = media.data;
-                } else {
-                    throw new Error('Invalid media data format. Expected base64 string, byte array, or Buffer.');
-                }
-                
-                return {
-                    data: buffer,
-                    mediaType: media.mediaType || 'image/jpeg'
-                };
-            });
+        const { accountId, username, type, target, callbackUrl, intervalSeconds } = req.body;
+
+        if (!accountId) {
+            return sendError(res, new ValidationError('Watches require a registered account (accountId)'));
+        }
+        if (!WATCH_TYPES.includes(type)) {
+            return sendError(res, new ValidationError(`type must be one of: ${WATCH_TYPES.join(', ')}`));
+        }
+        if (typeof target !== 'string' || !target.trim()) {
+            return sendError(res, new ValidationError('target is required'));
+        }
+        let url;
+        try {
+            url = new URL(callbackUrl);
+        } catch {
+            return sendError(res, new ValidationError('callbackUrl must be a valid URL'));
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            return sendError(res, new ValidationError('callbackUrl must be an http or https URL'));
+        }
+        await webhookWatcher.checkCallbackUrl(url);
+        if (intervalSeconds !== undefined && !(Number(intervalSeconds) > 0)) {
+            return sendError(res, new ValidationError('intervalSeconds must be a positive number'));
         }
 
-        const credentials = {
-            ...req.body,
-            mediaData: processedMediaData.length > 0 ? processedMediaData : undefined
-        };
+        const watch = await webhookWatcher.create({
+            type,
+            target: type === 'user' ? target.trim().replace('@', '') : target.trim(),
+            callbackUrl: url.href,
+            accountId,
+            username,
+            ...(intervalSeconds !== undefined && { intervalMs: Number(intervalSeconds) * 1000 })
+        });
+        res.status(201).json(watch);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
 
-        const tweet = await twitterHelper.sendTweet(credentials);
-        res.json(tweet);
+app.get('/api/watches', authorize('read'), async (req, res) => {
+    try {
+        // Keys scoped to specific usernames only see their own watches
+        const watches = await webhookWatcher.list({ usernames: scopedUsernames(req) });
+        res.json(watches);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
+// Middleware to load a watch and check the API key may act as its account
+const loadWatch = async (req, res, next) => {
+    try {
+        const watch = await webhookWatcher.get(req.params.watchId);
+        if (!watch || !canActAs(req, watch.username)) {
+            return sendError(res, new NotFoundError(`Watch ${req.params.watchId} not found`));
+        }
+        req.watch = watch;
+        next();
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
 /**
  * @swagger
- * /api/tweet/poll:
- *   post:
- *     summary: Post a tweet with poll
- *     description: Create a new tweet with a poll
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             allOf:
- *               - $ref: '#/components/schemas/Credentials'
- *               - type: object
- *                 required:
- *                   - text
- *                   - options
- *                 properties:
- *                   text:
- *                     type: string
- *                     description: The tweet text
- *                   options:
- *                     type: array
- *                     description: Poll options (2-4 options)
- *                     items:
- *                       type: string
- *                   durationMinutes:
- *                     type: integer
- *                     description: Poll duration in minutes
- *                     default: 120
+ * /api/watches/{watchId}:
+ *   get:
+ *     summary: Get a watch
+ *     parameters:
+ *       - in: path
+ *         name: watchId
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: Successfully posted tweet with poll
- *       400:
- *         description: Missing required parameters or invalid poll options
- *       500:
- *         description: Error posting tweet
+ *         description: The watch
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Error'
+ *               $ref: '#/components/schemas/Watch'
+ *       404:
+ *         description: Watch not found
+ *   delete:
+ *     summary: Delete a watch
+ *     description: Stops polling and drops deliveries that were not sent yet
+ *     parameters:
+ *       - in: path
+ *         name: watchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Watch deleted
+ *       404:
+ *         description: Watch not found
  */
-app.post('/api/tweet/poll', validateCredentials, async (req, res) => {
-    try {
-        const { text, options, durationMinutes = 120 } = req.body;
-        if (!text || !options || !Array.isArray(options)) {
-            return res.status(400).json({
-                error: 'Text and options array are required'
-            });
-        }
-        if (options.length < 2 || options.length > 4) {
-            return res.status(400).json({
-                error: 'Poll must have between 2 and 4 options'
-            });
-        }
+app.get('/api/watches/:watchId', authorize('read'), loadWatch, (req, res) => {
+    res.json(req.watch);
+});
 
-        const tweet = await twitterHelper.sendTweetWithPoll(
-            req.body,
-            text,
-            options,
-            durationMinutes
-        );
-        res.json(tweet);
+app.delete('/api/watches/:watchId', authorize('read'), loadWatch, async (req, res) => {
+    try {
+        await webhookWatcher.remove(req.watch.id);
+        res.json({ deleted: true });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
 /**
  * @swagger
- * /api/tweet/{id}:
- *   post:
- *     summary: Get a specific tweet
- *     description: Retrieve a specific tweet by ID
+ * /api/watches/{watchId}/deliveries:
+ *   get:
+ *     summary: List recent deliveries of a watch
+ *     description: The 50 most recent deliveries, newest first
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: watchId
  *         required: true
  *         schema:
  *           type: string
- *         description: ID of the tweet to retrieve
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/Credentials'
  *     responses:
  *       200:
- *         description: Successfully retrieved tweet
- *       500:
- *         description: Error retrieving tweet
+ *         description: Deliveries
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Error'
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Watch not found
  */
-app.post('/api/tweet/:id', validateCredentials, async (req, res) => {
+app.get('/api/watches/:watchId/deliveries', authorize('read'), loadWatch, async (req, res) => {
     try {
-        const tweet = await twitterHelper.getTweet(req.body, req.params.id);
-        res.json(tweet);
+        const deliveries = await webhookWatcher.listDeliveries(req.watch.id);
+        res.json(deliveries);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
 /**
  * @swagger
- * /api/following/{userId}:
+ * /api/watches/{watchId}/test:
  *   post:
- *     summary: Get users followed by a specific user
- *     description: Retrieve a list of users that a specific user is following
+ *     summary: Send a test delivery
+ *     description: POST a signed payload with `test` set and no tweets to the watch's callback, once and without retries
  *     parameters:
  *       - in: path
- *         name: userId
+ *         name: watchId
  *         required: true
  *         schema:
  *           type: string
- *         description: ID of the user whose following list to retrieve
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             allOf:
- *               - $ref: '#/components/schemas/Credentials'
- *               - type: object
- *                 properties:
- *                   count:
- *                     type: integer
- *                     description: Number of following users to retrieve
- *                     default: 100
  *     responses:
  *       200:
- *         description: Successfully retrieved following list
- *       500:
- *         description: Error retrieving following list
+ *         description: Whether the callback answered 2xx
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 delivered:
+ *                   type: boolean
+ *                 responseStatus:
+ *                   type: integer
+ *                 error:
+ *                   type: string
+ *       404:
+ *         description: Watch not found
+ */
+app.post('/api/watches/:watchId/test', authorize('read'), loadWatch, async (req, res) => {
+    try {
+        const result = await webhookWatcher.test(req.watch.id);
+        res.json(result);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Subscriber for a search stream, reading with the registered account or pool in the query string
+const streamSubscriber = async (req) => {
+    const { query, accountId, pool: poolName } = req.query;
+    if (!query) {
+        throw new ValidationError('Query parameter is required');
+    }
+
+    if (poolName) {
+        if (!await accountPools.get(poolName)) {
+            throw new NotFoundError(`Pool ${poolName} not found`);
+        }
+        // Reload the pool on every poll so its usage stays current
+        return async (read) => {
+            const pool = await accountPools.get(poolName);
+            if (!pool) {
+                throw new NotFoundError(`Pool ${poolName} not found`);
+            }
+            const { result } = await accountPools.run(pool, read, { allowed: (username) => canActAs(req, username) });
+            return result;
+        };
+    }
+
+    if (!accountId) {
+        throw new ValidationError('accountId or pool is required');
+    }
+    const credentials = await accountStore.resolveCredentials(accountId);
+    if (!credentials) {
+        throw new NotFoundError(`Account ${accountId} not found`);
+    }
+    if (!canActAs(req, credentials.username)) {
+        throw new ForbiddenError(`API key is not allowed to act as ${credentials.username}`);
+    }
+    return (read) => read(credentials);
+};
+
+/**
+ * @swagger
+ * /api/stream/search:
+ *   get:
+ *     summary: Stream new search results
+ *     description: |
+ *       Server-Sent Events stream of tweets matching the query as they appear. Each tweet is sent once as a `tweet` event with the tweet id as event id; failed searches are sent as `error` events and polling continues. Tweets that already matched when the stream opened are not sent.
+ *
+ *       Connecting to the same URL with a WebSocket upgrade gives the same stream as JSON messages, `{ "type": "tweet", "data": {...} }` or `{ "type": "error", "data": {...} }`.
+ *
+ *       Clients watching the same query share one search every STREAM_POLL_INTERVAL_MS (default 15 seconds), made with the first remaining client's account.
+ *     parameters:
+ *       - in: query
+ *         name: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Search query
+ *       - in: query
+ *         name: accountId
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Registered account to search with
+ *       - in: query
+ *         name: pool
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Account pool to search with instead of accountId
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Missing query or account
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-app.post('/api/following/:userId', validateCredentials, async (req, res) => {
+app.get('/api/stream/search', authorize('read'), async (req, res) => {
+    let runRead;
     try {
-        const { count = 100 } = req.body;
-        const following = await twitterHelper.getFollowing(
-            req.body,
-            req.params.userId,
-            count
-        );
-        res.json(following);
+        runRead = await streamSubscriber(req);
+    } catch (error) {
+        return sendError(res, error);
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const unsubscribe = searchStream.subscribe(req.query.query, {
+        runRead,
+        onTweet: (tweet) => res.write(`event: tweet\nid: ${tweet.id}\ndata: ${JSON.stringify(tweet)}\n\n`),
+        onError: (error) => res.write(`event: error\ndata: ${JSON.stringify(toApiError(error))}\n\n`)
+    });
+
+    // Comments keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+const streamSockets = new WebSocketServer({ noServer: true });
+
+// WebSocket upgrades of /api/stream/search, authorized like the SSE route
+const handleStreamUpgrade = async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/api/stream/search') {
+        socket.destroy();
+        return;
+    }
+    req.query = Object.fromEntries(url.searchParams);
+
+    let runRead;
+    try {
+        req.apiKey = await authenticateRequest(req);
+        if (req.apiKey && !keyAllowsGroup(req.apiKey, 'read')) {
+            throw new ForbiddenError('API key is not allowed to call read endpoints');
+        }
+        runRead = await streamSubscriber(req);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        const apiError = toApiError(error);
+        const body = JSON.stringify(apiError);
+        socket.end(
+            `HTTP/1.1 ${apiError.status} ${http.STATUS_CODES[apiError.status]}\r\n`
+            + `Content-Type: application/json\r\nContent-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`
+        );
+        return;
+    }
+
+    streamSockets.handleUpgrade(req, socket, head, (ws) => {
+        const send = (type, data) => ws.send(JSON.stringify({ type, data }));
+        const unsubscribe = searchStream.subscribe(req.query.query, {
+            runRead,
+            onTweet: (tweet) => send('tweet', tweet),
+            onError: (error) => send('error', toApiError(error))
+        });
+
+        const heartbeat = setInterval(() => ws.ping(), 25000);
+        ws.on('error', (error) => console.error('Search stream socket error:', error.message));
+        ws.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    });
+};
+
+// Unknown API routes answer in the same error format as the routes above
+app.use('/api', (req, res) => {
+    sendError(res, new NotFoundError(`No route for ${req.method} ${req.originalUrl}`));
+});
+
+// Errors raised by middleware before a route runs, e.g. malformed JSON bodies
+app.use((error, req, res, next) => {
+    if (error.status >= 400 && error.status < 500) {
+        return sendError(res, new ApiError(error.message, { status: error.status, code: 'INVALID_REQUEST' }));
     }
+    sendError(res, error);
 });
 
-app.listen(port, () => {
+const server = app.listen(port, () => {
     console.log(`Server running on port ${port}`);
     console.log(`API Documentation available at http://localhost:${port}/docs`);
-});
\ No newline at end of file
+
+    // TTL indexes for expiring data
+    Promise.all([
+        twitterHelper.client.storage.ensureIndexes(),
+        twitterHelper.rateLimiter.ensureIndexes()
+    ]).catch(error => console.error('Error creating TTL indexes:', error.message));
+
+    // Background jobs keep their state in MongoDB
+    if (!databaseConfigured()) {
+        console.log(`Background jobs are off: STORAGE_DRIVER=${process.env.STORAGE_DRIVER} without MONGO_CONNECTION`);
+        return;
+    }
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+        tweetScheduler.start(Number(process.env.SCHEDULER_INTERVAL_MS) || undefined);
+    }
+    if (process.env.GRAPH_TRACKER_ENABLED !== 'false') {
+        graphTracker.start();
+    }
+    if (process.env.ARCHIVE_ENABLED !== 'false') {
+        tweetArchive.start();
+    }
+    if (process.env.SESSION_MONITOR_ENABLED !== 'false') {
+        sessionMonitor.start();
+    }
+    if (process.env.WEBHOOKS_ENABLED !== 'false') {
+        webhookWatcher.start(Number(process.env.WEBHOOK_POLL_INTERVAL_MS) || undefined);
+    }
+});
+server.on('upgrade', handleStreamUpgrade);
@@ -0,0 +1,270 @@
+import { ApiError } from './errors.js';
+
+const MB = 1024 * 1024;
+
+// Twitter's upload limits per media type
+export const MEDIA_LIMITS = {
+    'image/jpeg': { maxBytes: 5 * MB },
+    'image/png': { maxBytes: 5 * MB },
+    'image/webp': { maxBytes: 5 * MB },
+    'image/gif': { maxBytes: 15 * MB },
+    'video/mp4': { maxBytes: 512 * MB, minDurationSeconds: 0.5, maxDurationSeconds: 140 },
+    'video/quicktime': { maxBytes: 512 * MB, minDurationSeconds: 0.5, maxDurationSeconds: 140 }
+};
+
+export const MAX_IMAGES_PER_TWEET = 4;
+export const MAX_ALT_TEXT_LENGTH = 1000;
+
+// A GIF or video is the only media in its tweet, so no request needs more than one video
+export const MAX_UPLOAD_BYTES = Math.max(...Object.values(MEDIA_LIMITS).map(limits => limits.maxBytes));
+
+// Bytes read from an upload before its type is detected
+const SNIFF_BYTES = 64;
+
+/**
+ * Error raised for media that Twitter would reject, so routes can answer 400
+ */
+export class MediaValidationError extends ApiError {
+    constructor(message) {
+        super(message, { status: 400, code: 'INVALID_MEDIA' });
+        this.name = 'MediaValidationError';
+    }
+}
+
+/**
+ * Decode media sent in request bodies into buffers for agent-twitter-client
+ * @param {Array<{data: string|number[]|Buffer, mediaType?: string, altText?: string}>} mediaData - Media objects from the request
+ * @returns {Array<{data: Buffer, mediaType: string, altText?: string}>} - Decoded media
+ */
+export const decodeMediaData = (mediaData) => {
+    if (!mediaData || !Array.isArray(mediaData)) {
+        return [];
+    }
+
+    return mediaData.map(media => {
+        let buffer;
+
+        // Handle different data formats
+        if (typeof media.data === 'string') {
+            // Assume base64 encoded string
+            buffer = Buffer.from(media.data, 'base64');
+        } else if (Array.isArray(media.data)) {
+            // Array of byte values
+            buffer = Buffer.from(media.data);
+        } else if (Buffer.isBuffer(media.data)) {
+            // Already a buffer
+            buffer = media.data;
+        } else {
+            throw new MediaValidationError('Invalid media data format. Expected base64 string, byte array, or Buffer.');
+        }
+
+        return {
+            data: buffer,
+            mediaType: media.mediaType || 'image/jpeg',
+            ...(media.altText && { altText: media.altText })
+        };
+    });
+};
+
+/**
+ * Detect the MIME type of media from its magic bytes
+ * @param {Buffer} buffer - Media bytes
+ * @returns {string|null} - MIME type, or null if the format is not supported
+ */
+export const sniffMediaType = (buffer) => {
+    if (buffer.length < 12) return null;
+
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+    if (buffer.toString('ascii', 0, 6) === 'GIF87a' || buffer.toString('ascii', 0, 6) === 'GIF89a') return 'image/gif';
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+    if (buffer.toString('ascii', 4, 8) === 'ftyp') return sniffFtypBrands(buffer);
+    return null;
+};
+
+// ISO base media brands of MP4 video
+const MP4_BRANDS = /^(isom|iso\d|mp4\d|mp71|avc1|M4V |M4VH|M4VP|dash|f4v )$/;
+// Audio, audiobook, 3GP and still image files use the same container but are not videos
+const OTHER_BRANDS = /^(M4A |M4B |M4P |3gp.|3g2.|heic|heix|hevc|heim|heis|mif1|msf1|avif|avis)$/;
+
+// Tell MP4 and QuickTime videos from other ftyp files by their major and compatible brands
+const sniffFtypBrands = (buffer) => {
+    const major = buffer.toString('ascii', 8, 12);
+    if (major === 'qt  ') return 'video/quicktime';
+    if (MP4_BRANDS.test(major)) return 'video/mp4';
+    // Audio files often list isom or mp42 as compatible, so the major brand decides
+    if (OTHER_BRANDS.test(major)) return null;
+
+    const end = Math.min(buffer.readUInt32BE(0), buffer.length);
+    const compatible = [];
+    for (let offset = 16; offset + 4 <= end; offset += 4) {
+        compatible.push(buffer.toString('ascii', offset, offset + 4));
+    }
+    if (compatible.some(brand => OTHER_BRANDS.test(brand))) return null;
+    if (compatible.some(brand => MP4_BRANDS.test(brand))) return 'video/mp4';
+    if (compatible.includes('qt  ')) return 'video/quicktime';
+    return null;
+};
+
+/**
+ * Multer storage engine that keeps uploads in memory like multer.memoryStorage, but detects
+ * each file's type from its first bytes and stops reading as soon as the file passes that
+ * type's limit or the request passes MAX_UPLOAD_BYTES. An oversized image is rejected after
+ * 5 MB instead of being buffered up to the video limit.
+ * @returns {Object} - Storage engine for multer({ storage })
+ */
+export const limitedMemoryStorage = () => ({
+    _handleFile(req, file, cb) {
+        const chunks = [];
+        let size = 0;
+        let maxBytes = null;
+        let finished = false;
+
+        const finish = (error, info) => {
+            if (finished) return;
+            finished = true;
+            if (error) {
+                // Discard the rest of the file so multer can end the request
+                file.stream.removeAllListeners('data');
+                file.stream.resume();
+            }
+            cb(error, info);
+        };
+
+        file.stream.on('data', (chunk) => {
+            if (finished) return;
+            chunks.push(chunk);
+            size += chunk.length;
+            req.uploadedMediaBytes = (req.uploadedMediaBytes || 0) + chunk.length;
+
+            if (maxBytes === null && size >= SNIFF_BYTES) {
+                const mediaType = sniffMediaType(Buffer.concat(chunks));
+                if (!mediaType) {
+                    return finish(new MediaValidationError(`Media ${file.originalname} is not a supported format (JPEG, PNG, WEBP, GIF, MP4 or MOV)`));
+                }
+                maxBytes = MEDIA_LIMITS[mediaType].maxBytes;
+            }
+            if (maxBytes !== null && size > maxBytes) {
+                return finish(new MediaValidationError(`Media ${file.originalname} is over the limit of ${maxBytes} bytes for its type`));
+            }
+            if (req.uploadedMediaBytes > MAX_UPLOAD_BYTES) {
+                return finish(new MediaValidationError(`Uploads are limited to ${MAX_UPLOAD_BYTES} bytes per request`));
+            }
+        });
+        file.stream.on('error', finish);
+        // Files shorter than SNIFF_BYTES are checked by validateMedia
+        file.stream.on('end', () => {
+            const buffer = Buffer.concat(chunks);
+            finish(null, { buffer, size: buffer.length });
+        });
+    },
+
+    _removeFile(req, file, cb) {
+        delete file.buffer;
+        cb(null);
+    }
+});
+
+/**
+ * Read the duration of an MP4/QuickTime file from its moov/mvhd box
+ * @param {Buffer} buffer - Video bytes
+ * @returns {number|null} - Duration in seconds, or null if it cannot be read
+ */
+export const videoDurationSeconds = (buffer) => {
+    const findBox = (start, end, type) => {
+        let offset = start;
+        while (offset + 8 <= end) {
+            let size = buffer.readUInt32BE(offset);
+            let headerSize = 8;
+            if (size === 1 && offset + 16 <= end) {
+                size = Number(buffer.readBigUInt64BE(offset + 8));
+                headerSize = 16;
+            } else if (size === 0) {
+                size = end - offset;
+            }
+            if (size < headerSize) return null;
+            if (buffer.toString('ascii', offset + 4, offset + 8) === type) {
+                return { start: offset + headerSize, end: Math.min(offset + size, end) };
+            }
+            offset += size;
+        }
+        return null;
+    };
+
+    const moov = findBox(0, buffer.length, 'moov');
+    const mvhd = moov && findBox(moov.start, moov.end, 'mvhd');
+    if (!mvhd || mvhd.end - mvhd.start < 32) return null;
+
+    // Version 1 boxes use 64-bit times
+    const version = buffer[mvhd.start];
+    const timescale = buffer.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+    const duration = version === 1
+        ? Number(buffer.readBigUInt64BE(mvhd.start + 24))
+        : buffer.readUInt32BE(mvhd.start + 16);
+    return timescale ? duration / timescale : null;
+};
+
+/**
+ * Check media against Twitter's type, size, count and duration limits
+ * The detected MIME type replaces whatever type the caller declared.
+ * @param {Array<{data: Buffer, mediaType?: string, altText?: string}>} media - Decoded media
+ * @returns {Array<{data: Buffer, mediaType: string, altText?: string}>} - Media with detected types
+ * @throws {MediaValidationError}
+ */
+export const validateMedia = (media) => {
+    const validated = media.map((item, index) => {
+        const mediaType = sniffMediaType(item.data);
+        if (!mediaType) {
+            throw new MediaValidationError(`Media ${index} is not a supported format (JPEG, PNG, WEBP, GIF, MP4 or MOV)`);
+        }
+
+        const limits = MEDIA_LIMITS[mediaType];
+        if (item.data.length > limits.maxBytes) {
+            throw new MediaValidationError(`Media ${index} (${mediaType}) is ${item.data.length} bytes, the limit is ${limits.maxBytes}`);
+        }
+
+        if (limits.maxDurationSeconds) {
+            const duration = videoDurationSeconds(item.data);
+            if (duration === null) {
+                throw new MediaValidationError(`Media ${index} is not a readable video`);
+            }
+            if (duration < limits.minDurationSeconds || duration > limits.maxDurationSeconds) {
+                throw new MediaValidationError(`Media ${index} is ${duration.toFixed(1)}s long, videos must be between ${limits.minDurationSeconds}s and ${limits.maxDurationSeconds}s`);
+            }
+        }
+
+        if (item.altText) {
+            if (mediaType.startsWith('video/')) {
+                throw new MediaValidationError(`Media ${index}: alt text is only supported for images`);
+            }
+            if (item.altText.length > MAX_ALT_TEXT_LENGTH) {
+                throw new MediaValidationError(`Media ${index}: alt text is limited to ${MAX_ALT_TEXT_LENGTH} characters`);
+            }
+        }
+
+        return { ...item, mediaType };
+    });
+
+    // A tweet has up to four images, or a single GIF or video
+    const hasSingleOnly = validated.some(item => item.mediaType === 'image/gif' || item.mediaType.startsWith('video/'));
+    if (hasSingleOnly && validated.length > 1) {
+        throw new MediaValidationError('A GIF or video must be the only media in a tweet');
+    }
+    if (validated.length > MAX_IMAGES_PER_TWEET) {
+        throw new MediaValidationError(`A tweet can have at most ${MAX_IMAGES_PER_TWEET} images`);
+    }
+
+    return validated;
+};
+
+/**
+ * Upload category for a MIME type
+ * @param {string} mediaType - MIME type
+ * @param {'tweet'|'dm'} target - Where the media will be attached
+ * @returns {string} - e.g. tweet_image, dm_gif, dm_video
+ */
+export const mediaCategory = (mediaType, target = 'tweet') => {
+    if (mediaType === 'image/gif') return `${target}_gif`;
+    if (mediaType.startsWith('video/')) return `${target}_video`;
+    return `${target}_image`;
+};
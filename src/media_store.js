@@ -0,0 +1,97 @@
+import crypto from 'crypto';
+import { GridFSBucket } from 'mongodb';
+import { NotFoundError } from './errors.js';
+
+/**
+ * Stores validated media uploads in GridFS and hands out media handles
+ * that can be attached to tweets later. Uploads expire after a day; media kept
+ * for scheduled tweets and threads has no expiry and is removed by its owner.
+ */
+export class MediaStore {
+    static TTL_MS = 24 * 60 * 60 * 1000;
+
+    constructor(twitterClient) {
+        this.client = twitterClient;
+        this.bucketName = 'media';
+    }
+
+    async getBucket() {
+        const mongoClient = await this.client.initMongoClient();
+        return new GridFSBucket(mongoClient.db(this.client.dbName), { bucketName: this.bucketName });
+    }
+
+    /**
+     * Store one media item
+     * @param {{data: Buffer, mediaType: string, altText?: string}} media - Validated media
+     * @param {string} [ownerId] - API key, job or thread the media belongs to
+     * @param {Object} [options]
+     * @param {boolean} [options.expires=true] - false to keep the media until remove is called
+     */
+    async store({ data, mediaType, altText }, ownerId, { expires = true } = {}) {
+        const bucket = await this.getBucket();
+        await this.purgeExpired(bucket);
+
+        const mediaId = `media_${crypto.randomBytes(12).toString('hex')}`;
+        const metadata = {
+            mediaType,
+            altText: altText || null,
+            ownerId: ownerId || null,
+            expiresAt: expires ? new Date(Date.now() + MediaStore.TTL_MS) : null
+        };
+
+        await new Promise((resolve, reject) => {
+            bucket.openUploadStreamWithId(mediaId, mediaId, { metadata })
+                .on('finish', resolve)
+                .on('error', reject)
+                .end(data);
+        });
+        return { mediaId, mediaType, size: data.length, altText: metadata.altText, expiresAt: metadata.expiresAt };
+    }
+
+    /**
+     * Load stored media by handle
+     * @param {string[]} mediaIds - Media handles
+     * @param {string} [ownerId] - Only return media uploaded by this API key
+     * @returns {Promise<Array<{data: Buffer, mediaType: string, altText?: string}>>}
+     * @throws {NotFoundError} If a handle does not exist, has expired or belongs to another key
+     */
+    async load(mediaIds, ownerId) {
+        const bucket = await this.getBucket();
+        const media = [];
+
+        for (const mediaId of mediaIds) {
+            const [file] = await bucket.find({ _id: mediaId }).toArray();
+            const expired = file?.metadata.expiresAt && file.metadata.expiresAt < new Date();
+            if (!file || expired || (file.metadata.ownerId && file.metadata.ownerId !== ownerId)) {
+                throw new NotFoundError(`Media ${mediaId} not found`);
+            }
+
+            const chunks = [];
+            for await (const chunk of bucket.openDownloadStream(mediaId)) {
+                chunks.push(chunk);
+            }
+            media.push({
+                data: Buffer.concat(chunks),
+                mediaType: file.metadata.mediaType,
+                ...(file.metadata.altText && { altText: file.metadata.altText })
+            });
+        }
+        return media;
+    }
+
+    // Delete media by handle, skipping handles that are already gone
+    async remove(mediaIds) {
+        const bucket = await this.getBucket();
+        for (const mediaId of mediaIds) {
+            const [file] = await bucket.find({ _id: mediaId }).toArray();
+            if (file) await bucket.delete(mediaId);
+        }
+    }
+
+    async purgeExpired(bucket) {
+        const expired = await bucket.find({ 'metadata.expiresAt': { $lt: new Date() } }).toArray();
+        for (const file of expired) {
+            await bucket.delete(file._id);
+        }
+    }
+}
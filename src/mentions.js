@@ -0,0 +1,107 @@
+// Tweet ids are too large for Number, so compare them as BigInt
+const isNewer = (id, sinceId) => !sinceId || BigInt(id) > BigInt(sinceId);
+
+/**
+ * Mentions of the logged-in account, including replies and quote tweets. Callers can ask
+ * for mentions newer than a tweet id, or for only those newer than the account's
+ * high-water mark, which is kept in the mention_marks collection and advanced as new
+ * mentions are returned.
+ */
+export class MentionsFeed {
+    static DEFAULT_COUNT = 20;
+    static MAX_COUNT = 100;
+    // Pages read while looking for the since id before returning what was found
+    static MAX_PAGES = 5;
+
+    constructor(twitterHelper) {
+        this.helper = twitterHelper;
+        this.client = twitterHelper.client;
+        this.collectionName = 'mention_marks';
+    }
+
+    async getState(username) {
+        const collection = await this.client.getCollection(this.collectionName);
+        return collection.findOne({ _id: username });
+    }
+
+    // Save the mark only if no other poll has changed it since it was read
+    async saveState(username, previous, { lastSeenId, resumeCursor, pendingNewestId }) {
+        const collection = await this.client.getCollection(this.collectionName);
+        await collection.updateOne(
+            previous
+                ? { _id: username, lastSeenId: previous.lastSeenId, resumeCursor: previous.resumeCursor ?? null }
+                : { _id: username },
+            { $set: { lastSeenId, resumeCursor, pendingNewestId, updatedAt: new Date() } },
+            { upsert: !previous }
+        );
+    }
+
+    /**
+     * Read pages from a cursor until a mention at or before sinceId is reached, the mentions
+     * run out, or MAX_PAGES pages were read
+     * @returns {Promise<{ items: Object[], nextCursor: string|null, reached: boolean }>} - nextCursor is set when pages remain
+     */
+    async readSince(credentials, count, cursor, sinceId) {
+        const items = [];
+        for (let pages = 1, next = cursor; ; pages++) {
+            const page = await this.helper.getMentions(credentials, count, next);
+            const newer = page.items.filter(tweet => isNewer(tweet.id, sinceId));
+            items.push(...newer);
+            if (newer.length < page.items.length || !page.nextCursor) {
+                return { items, nextCursor: null, reached: true };
+            }
+            if (pages >= MentionsFeed.MAX_PAGES) {
+                return { items, nextCursor: page.nextCursor, reached: false };
+            }
+            next = page.nextCursor;
+        }
+    }
+
+    /**
+     * Fetch mentions, newest first
+     * @param {Object} credentials
+     * @param {Object} options
+     * @param {number} options.count - Mentions per page
+     * @param {string} [options.cursor] - Cursor from a previous response
+     * @param {string} [options.sinceId] - Only return mentions newer than this tweet id
+     * @param {boolean} [options.newOnly] - Only return mentions newer than the stored high-water mark, then advance it
+     * @returns {Promise<{ items: Object[], nextCursor: string|null, hasMore: boolean, highWaterMark: string|null }>} - highWaterMark is only set with newOnly
+     */
+    async fetch(credentials, { count, cursor, sinceId, newOnly }) {
+        // Only newOnly uses the stored mark, so other reads never depend on MongoDB
+        if (!newOnly) {
+            const result = sinceId
+                ? await this.readSince(credentials, count, cursor, sinceId)
+                : await this.helper.getMentions(credentials, count, cursor);
+            return { items: result.items, nextCursor: result.nextCursor, hasMore: Boolean(result.nextCursor), highWaterMark: null };
+        }
+
+        const { username } = credentials;
+        const state = await this.getState(username);
+        const mark = state?.lastSeenId || null;
+
+        // The first poll only returns the latest page and sets the mark
+        if (!mark) {
+            const page = await this.helper.getMentions(credentials, count);
+            const newest = page.items.reduce((latest, tweet) => (isNewer(tweet.id, latest) ? tweet.id : latest), null);
+            if (newest) {
+                await this.saveState(username, state, { lastSeenId: newest, resumeCursor: null, pendingNewestId: null });
+            }
+            return { items: page.items, nextCursor: null, hasMore: false, highWaterMark: newest };
+        }
+
+        // A burst larger than the page budget is read over several polls. The mark stays put
+        // until the older mentions are reached, and each poll carries on from the stored cursor.
+        const result = await this.readSince(credentials, count, state.resumeCursor || undefined, mark);
+        const pendingNewestId = result.items.reduce(
+            (latest, tweet) => (isNewer(tweet.id, latest) ? tweet.id : latest),
+            state.pendingNewestId || null
+        );
+        const next = result.reached
+            ? { lastSeenId: pendingNewestId && isNewer(pendingNewestId, mark) ? pendingNewestId : mark, resumeCursor: null, pendingNewestId: null }
+            : { lastSeenId: mark, resumeCursor: result.nextCursor, pendingNewestId };
+        await this.saveState(username, state, next);
+
+        return { items: result.items, nextCursor: null, hasMore: !result.reached, highWaterMark: next.lastSeenId };
+    }
+}
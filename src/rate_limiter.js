@@ -0,0 +1,177 @@
+import { toApiError, RateLimitError } from './errors.js';
+
+export const ENDPOINT_CLASSES = ['read', 'search', 'post'];
+
+const DEFAULT_LIMITS_PER_MINUTE = { read: 60, search: 30, post: 10 };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Whether Twitter itself rate limited the session, as opposed to our own buckets
+const isUpstreamRateLimit = (error) => error instanceof RateLimitError
+    && (error.details?.upstreamStatus === 429 || error.details?.errors?.some(({ code }) => code === 88));
+
+/**
+ * Per-account token buckets for each endpoint class (read, search, post), plus a pause
+ * that holds back an account's session after Twitter rate limits it.
+ * Buckets live in the rate_limits collection so every container shares them; with a
+ * non-mongo STORAGE_DRIVER they are kept in this process instead.
+ */
+export class RateLimiter {
+    static DEFAULT_PAUSE_MS = 15 * 60 * 1000;
+
+    constructor(twitterClient) {
+        this.client = twitterClient;
+        this.collectionName = 'rate_limits';
+        this.enabled = process.env.RATE_LIMIT_ENABLED !== 'false';
+        this.maxWaitMs = Number(process.env.RATE_LIMIT_MAX_WAIT_MS ?? 5000);
+        this.limits = Object.fromEntries(ENDPOINT_CLASSES.map(endpointClass => [
+            endpointClass,
+            Number(process.env[`RATE_LIMIT_${endpointClass.toUpperCase()}_PER_MINUTE`]) || DEFAULT_LIMITS_PER_MINUTE[endpointClass]
+        ]));
+        this.local = (process.env.STORAGE_DRIVER || 'mongo') === 'mongo' ? null : new Map();
+        this.expiryTimer = null;
+    }
+
+    /**
+     * Take a token from a bucket that holds up to `perMinute` tokens and refills continuously
+     * @returns {Promise<number>} - 0 if a token was taken, otherwise ms until one is available
+     */
+    async take(key, perMinute) {
+        const now = Date.now();
+        const refillPerMs = perMinute / 60000;
+
+        if (this.local) {
+            const bucket = this.local.get(key) || { tokens: perMinute, refilledAt: now };
+            bucket.tokens = Math.min(perMinute, bucket.tokens + (now - bucket.refilledAt) * refillPerMs);
+            bucket.refilledAt = now;
+            // Like the TTL on stored buckets: idle for a minute, the bucket is full and can go
+            bucket.expiresAt = now + 60000;
+            const granted = bucket.tokens >= 1;
+            if (granted) bucket.tokens -= 1;
+            this.local.set(key, bucket);
+            return granted ? 0 : Math.ceil((1 - bucket.tokens) / refillPerMs);
+        }
+
+        // Refill and take in a single update so concurrent containers never share a token
+        const collection = await this.client.getCollection(this.collectionName);
+        const bucket = await collection.findOneAndUpdate(
+            { _id: key },
+            [
+                {
+                    $set: {
+                        tokens: {
+                            $min: [perMinute, {
+                                $add: [
+                                    { $ifNull: ['$tokens', perMinute] },
+                                    { $multiply: [{ $max: [0, { $subtract: [now, { $ifNull: ['$refilledAt', now] }] }] }, refillPerMs] }
+                                ]
+                            }]
+                        },
+                        refilledAt: now,
+                        // An idle bucket is full again after a minute, so the TTL index can drop it
+                        expiresAt: new Date(now + 60000)
+                    }
+                },
+                { $set: { granted: { $gte: ['$tokens', 1] } } },
+                { $set: { tokens: { $cond: ['$granted', { $subtract: ['$tokens', 1] }, '$tokens'] } } }
+            ],
+            { upsert: true, returnDocument: 'after' }
+        );
+        return bucket.granted ? 0 : Math.ceil((1 - bucket.tokens) / refillPerMs);
+    }
+
+    // ms until a paused account may call Twitter again, 0 if it is not paused
+    async pausedFor(username) {
+        const key = `${username}:paused`;
+        const until = this.local
+            ? this.local.get(key)
+            : (await (await this.client.getCollection(this.collectionName)).findOne({ _id: key }))?.until?.getTime();
+        return Math.max(0, (until || 0) - Date.now());
+    }
+
+    /**
+     * Wait for a token for the account, or fail when it would take longer than RATE_LIMIT_MAX_WAIT_MS
+     * @param {string} username - Twitter account making the call
+     * @param {'read'|'search'|'post'} endpointClass
+     * @throws {RateLimitError}
+     */
+    async acquire(username, endpointClass) {
+        if (!this.enabled) return;
+        const deadline = Date.now() + this.maxWaitMs;
+
+        for (;;) {
+            let pausedMs;
+            let waitMs;
+            try {
+                pausedMs = await this.pausedFor(username);
+                waitMs = pausedMs || await this.take(`${username}:${endpointClass}`, this.limits[endpointClass]);
+            } catch (error) {
+                // Never block Twitter calls because the limiter's storage is unavailable
+                console.error('Error checking rate limit:', error.message);
+                return;
+            }
+            if (waitMs === 0) return;
+
+            if (Date.now() + waitMs > deadline) {
+                const message = pausedMs
+                    ? `${username} is paused until Twitter's rate limit resets`
+                    : `Too many ${endpointClass} requests for ${username}`;
+                throw new RateLimitError(message, { endpointClass }, Math.ceil(waitMs / 1000));
+            }
+            await sleep(waitMs);
+        }
+    }
+
+    // Hold back every call for the account until Twitter's rate limit resets
+    async pause(username, retryAfterSeconds) {
+        const until = Date.now() + (retryAfterSeconds !== undefined ? retryAfterSeconds * 1000 : RateLimiter.DEFAULT_PAUSE_MS);
+        const key = `${username}:paused`;
+        console.error(`Twitter rate limited ${username}, pausing until ${new Date(until).toISOString()}`);
+
+        if (this.local) {
+            this.local.set(key, until);
+            return;
+        }
+        const collection = await this.client.getCollection(this.collectionName);
+        await collection.updateOne(
+            { _id: key },
+            { $set: { until: new Date(until), expiresAt: new Date(until) } },
+            { upsert: true }
+        );
+    }
+
+    // Stand-in for the TTL index with local buckets: drop full buckets and ended pauses
+    purgeExpired() {
+        const now = Date.now();
+        for (const [key, entry] of this.local) {
+            // Pauses are stored as the time they end, buckets as objects
+            const expiresAt = typeof entry === 'number' ? entry : entry.expiresAt;
+            if (expiresAt <= now) {
+                this.local.delete(key);
+            }
+        }
+    }
+
+    async ensureIndexes() {
+        if (this.local) {
+            if (!this.expiryTimer) {
+                this.expiryTimer = setInterval(() => this.purgeExpired(), 60 * 1000);
+                this.expiryTimer.unref();
+            }
+            return;
+        }
+        const collection = await this.client.getCollection(this.collectionName);
+        await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    }
+
+    // Pause the account if the error is Twitter rate limiting it
+    async recordError(username, error) {
+        const apiError = toApiError(error);
+        if (!this.enabled || !isUpstreamRateLimit(apiError)) return;
+        try {
+            await this.pause(username, apiError.retryAfter);
+        } catch (pauseError) {
+            console.error('Error pausing rate limited account:', pauseError.message);
+        }
+    }
+}
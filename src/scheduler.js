@@ -0,0 +1,241 @@
+import crypto from 'crypto';
+import os from 'os';
+import { toApiError } from './errors.js';
+
+export const JOB_STATUS = {
+    PENDING: 'pending',
+    PROCESSING: 'processing',
+    SENT: 'sent',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+    // The dispatcher stopped while posting; the tweet may or may not have been published
+    UNKNOWN: 'unknown'
+};
+
+/**
+ * Queue of tweets to publish later, stored in the scheduled_tweets collection.
+ * A dispatcher loop claims due jobs with an atomic findOneAndUpdate, so several
+ * containers can run it against the same database without posting a job twice.
+ * Media is kept in the MediaStore and jobs only hold the media handles.
+ */
+export class TweetScheduler {
+    static POLL_INTERVAL_MS = 15 * 1000;
+    // A job still processing after this long was claimed by a dispatcher that stopped
+    static LEASE_MS = 15 * 60 * 1000;
+
+    constructor(twitterHelper, accountStore, mediaStore) {
+        this.helper = twitterHelper;
+        this.client = twitterHelper.client;
+        this.accounts = accountStore;
+        this.media = mediaStore;
+        this.collectionName = 'scheduled_tweets';
+        this.workerId = `${os.hostname()}_${process.pid}`;
+        this.timer = null;
+        this.running = false;
+    }
+
+    // Convert a stored job into the shape returned by the API
+    toPublic(document) {
+        const { _id, tweet, ...job } = document;
+        return {
+            id: _id,
+            ...job,
+            tweet: {
+                text: tweet.text,
+                reply_to_id: tweet.reply_to_id,
+                quote_tweet_id: tweet.quote_tweet_id,
+                mediaCount: tweet.mediaIds?.length || 0
+            }
+        };
+    }
+
+    async schedule({ accountId, username, tweet, publishAt }) {
+        const collection = await this.client.getCollection(this.collectionName);
+        const now = new Date();
+        const jobId = `job_${crypto.randomBytes(12).toString('hex')}`;
+
+        // Media can be far larger than a document, so it is kept until the job is done
+        const { mediaData = [], ...fields } = tweet;
+        const mediaIds = [];
+        for (const media of mediaData) {
+            mediaIds.push((await this.media.store(media, jobId, { expires: false })).mediaId);
+        }
+
+        const document = {
+            _id: jobId,
+            accountId,
+            username,
+            tweet: { ...fields, mediaIds },
+            publishAt,
+            status: JOB_STATUS.PENDING,
+            attempts: 0,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await collection.createIndex({ status: 1, publishAt: 1 });
+        try {
+            await collection.insertOne(document);
+        } catch (error) {
+            await this.media.remove(mediaIds);
+            throw error;
+        }
+        return this.toPublic(document);
+    }
+
+    async list({ usernames, status } = {}) {
+        const collection = await this.client.getCollection(this.collectionName);
+        const filter = {};
+        if (usernames) filter.username = { $in: usernames };
+        if (status) filter.status = status;
+
+        const documents = await collection
+            .find(filter)
+            .sort({ publishAt: 1 })
+            .toArray();
+        return documents.map(document => this.toPublic(document));
+    }
+
+    async get(id) {
+        const collection = await this.client.getCollection(this.collectionName);
+        const document = await collection.findOne({ _id: id });
+        return document ? this.toPublic(document) : null;
+    }
+
+    // Only pending jobs can be changed; returns null if the job is gone or already claimed
+    async updatePending(id, update) {
+        const collection = await this.client.getCollection(this.collectionName);
+        const document = await collection.findOneAndUpdate(
+            { _id: id, status: JOB_STATUS.PENDING },
+            { $set: { ...update, updatedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        return document ? this.toPublic(document) : null;
+    }
+
+    async cancel(id) {
+        const collection = await this.client.getCollection(this.collectionName);
+        const document = await collection.findOne({ _id: id }, { projection: { 'tweet.mediaIds': 1 } });
+        const job = await this.updatePending(id, { status: JOB_STATUS.CANCELLED });
+        if (job) {
+            await this.media.remove(document.tweet.mediaIds || []);
+        }
+        return job;
+    }
+
+    async reschedule(id, publishAt) {
+        return this.updatePending(id, { publishAt });
+    }
+
+    // Jobs whose dispatcher stopped while posting may already be on Twitter, so they are
+    // never posted again; they are marked unknown for someone to check by hand
+    async markAbandoned() {
+        const collection = await this.client.getCollection(this.collectionName);
+        const now = new Date();
+        const abandoned = await collection.find({
+            status: JOB_STATUS.PROCESSING,
+            lockedAt: { $lt: new Date(now.getTime() - TweetScheduler.LEASE_MS) }
+        }).toArray();
+
+        for (const job of abandoned) {
+            const result = await collection.updateOne(
+                { _id: job._id, status: JOB_STATUS.PROCESSING, lockedAt: job.lockedAt },
+                {
+                    $set: {
+                        status: JOB_STATUS.UNKNOWN,
+                        error: 'The dispatcher stopped while posting; check the account before scheduling the tweet again',
+                        errorCode: 'INTERNAL_ERROR',
+                        updatedAt: now
+                    },
+                    $unset: { lockedBy: '', lockedAt: '' }
+                }
+            );
+            if (result.modifiedCount > 0) {
+                await this.media.remove(job.tweet.mediaIds || []);
+            }
+        }
+    }
+
+    // Atomically move the next due job to processing so no other worker picks it up
+    async claimNext() {
+        const collection = await this.client.getCollection(this.collectionName);
+        const now = new Date();
+        return collection.findOneAndUpdate(
+            { status: JOB_STATUS.PENDING, publishAt: { $lte: now } },
+            {
+                $set: { status: JOB_STATUS.PROCESSING, lockedBy: this.workerId, lockedAt: now, updatedAt: now },
+                $inc: { attempts: 1 }
+            },
+            { sort: { publishAt: 1 }, returnDocument: 'after' }
+        );
+    }
+
+    async dispatch(job) {
+        const collection = await this.client.getCollection(this.collectionName);
+        let outcome;
+
+        try {
+            const credentials = await this.accounts.resolveCredentials(job.accountId);
+            if (!credentials) {
+                throw new Error(`Account ${job.accountId} not found`);
+            }
+
+            const { mediaIds = [], ...tweet } = job.tweet;
+            const mediaData = await this.media.load(mediaIds, job._id);
+
+            const result = await this.helper.sendTweet({
+                ...credentials,
+                ...tweet,
+                mediaData: mediaData.length > 0 ? mediaData : undefined
+            });
+
+            outcome = {
+                status: JOB_STATUS.SENT,
+                tweetId: result.rest_id || null,
+                sentAt: new Date(),
+                error: null,
+                errorCode: null
+            };
+        } catch (error) {
+            console.error(`Error dispatching scheduled tweet ${job._id}:`, error.message);
+            outcome = { status: JOB_STATUS.FAILED, error: error.message, errorCode: toApiError(error).code };
+        }
+
+        await collection.updateOne(
+            { _id: job._id },
+            { $set: { ...outcome, updatedAt: new Date() }, $unset: { lockedBy: '', lockedAt: '' } }
+        );
+        // Sent and failed jobs are not posted again
+        await this.media.remove(job.tweet.mediaIds || []).catch((error) => {
+            console.error(`Error removing media of scheduled tweet ${job._id}:`, error.message);
+        });
+    }
+
+    // Dispatch every job that is due
+    async runOnce() {
+        if (this.running) return;
+        this.running = true;
+        try {
+            await this.markAbandoned();
+            let job;
+            while ((job = await this.claimNext())) {
+                await this.dispatch(job);
+            }
+        } catch (error) {
+            console.error('Error running tweet scheduler:', error.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    start(intervalMs = TweetScheduler.POLL_INTERVAL_MS) {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.runOnce(), intervalMs);
+        console.log(`Tweet scheduler running every ${intervalMs}ms`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
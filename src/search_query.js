@@ -0,0 +1,195 @@
+import { ValidationError } from './errors.js';
+
+// Twitter rejects longer search queries
+export const MAX_QUERY_LENGTH = 500;
+
+// Fields of a structured search filter, see compileSearchQuery
+export const SEARCH_FILTER_FIELDS = [
+    'from', 'to', 'mentioning',
+    'allWords', 'anyWords', 'noneWords', 'phrases', 'hashtags',
+    'lang', 'since', 'until',
+    'minLikes', 'minRetweets', 'minReplies',
+    'hasMedia', 'hasLinks', 'excludeReplies', 'excludeRetweets'
+];
+
+const USERNAME_PATTERN = /^@?(\w{1,15})$/;
+// Colons and leading -, #, @ or $ would turn a keyword into an operator, e.g. from:name or -word
+const WORD_PATTERN = /^(?![-#@$])[^\s"():]+$/;
+const HASHTAG_PATTERN = /^#?([\p{L}\p{N}_]+)$/u;
+const LANG_PATTERN = /^[a-z]{2,3}(-[a-z]{2,4})?$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Operators such as OR and AND are read as operators when they appear as bare words
+const RESERVED_WORDS = ['OR', 'AND'];
+
+// Rejects days that do not exist, such as 2025-02-30
+const isValidDate = (value) => {
+    if (!DATE_PATTERN.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+// Several alternatives are grouped, so (from:a OR from:b) still combines with the other terms
+const anyOf = (terms) => (terms.length > 1 ? `(${terms.join(' OR ')})` : terms[0]);
+
+/**
+ * Compile a structured search filter into a Twitter search query.
+ *
+ * Users, words, phrases and hashtags accept a string or an array of strings. Terms of
+ * different fields are all required; several users in one field match any of them.
+ * @param {Object} filter
+ * @param {string|string[]} [filter.from] - Tweets by these users
+ * @param {string|string[]} [filter.to] - Replies to these users
+ * @param {string|string[]} [filter.mentioning] - Tweets mentioning these users
+ * @param {string|string[]} [filter.allWords] - Words that must all appear
+ * @param {string|string[]} [filter.anyWords] - Words of which at least one must appear
+ * @param {string|string[]} [filter.noneWords] - Words that must not appear
+ * @param {string|string[]} [filter.phrases] - Exact phrases that must appear
+ * @param {string|string[]} [filter.hashtags] - Hashtags that must appear, with or without #
+ * @param {string} [filter.lang] - Language code, such as en
+ * @param {string} [filter.since] - Tweets on or after this day, YYYY-MM-DD
+ * @param {string} [filter.until] - Tweets before this day, YYYY-MM-DD
+ * @param {number} [filter.minLikes]
+ * @param {number} [filter.minRetweets]
+ * @param {number} [filter.minReplies]
+ * @param {boolean} [filter.hasMedia] - true for only tweets with media, false for none
+ * @param {boolean} [filter.hasLinks] - true for only tweets with links, false for none
+ * @param {boolean} [filter.excludeReplies]
+ * @param {boolean} [filter.excludeRetweets]
+ * @returns {string} - Search query
+ * @throws {ValidationError} With every problem found, as { field, message } in details
+ */
+export const compileSearchQuery = (filter) => {
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+        throw new ValidationError('filter must be an object');
+    }
+
+    const problems = [];
+    const problem = (field, message) => problems.push({ field, message });
+
+    for (const field of Object.keys(filter)) {
+        if (!SEARCH_FILTER_FIELDS.includes(field)) {
+            problem(field, `Unknown field, expected one of: ${SEARCH_FILTER_FIELDS.join(', ')}`);
+        }
+    }
+
+    // Read a string or array of strings, checking each against a pattern
+    const list = (field, pattern, description) => {
+        const value = filter[field];
+        if (value === undefined || value === null) return [];
+        const values = Array.isArray(value) ? value : [value];
+        if (values.length === 0) return [];
+
+        const valid = [];
+        for (const item of values) {
+            if (typeof item !== 'string' || !pattern.test(item.trim())) {
+                problem(field, `${JSON.stringify(item)} is not ${description}`);
+            } else {
+                valid.push(item.trim());
+            }
+        }
+        return valid;
+    };
+
+    const words = (field) => list(field, WORD_PATTERN, 'a plain word (quotes, parentheses, colons and a leading -, #, @ or $ are search operators; use phrases for such text)')
+        .map(word => (RESERVED_WORDS.includes(word) ? `"${word}"` : word));
+    const usernames = (field) => list(field, USERNAME_PATTERN, 'a username').map(name => name.match(USERNAME_PATTERN)[1]);
+
+    const minimum = (field, operator) => {
+        const value = filter[field];
+        if (value === undefined || value === null) return [];
+        if (!Number.isInteger(value) || value < 0) {
+            problem(field, 'Must be a non-negative integer');
+            return [];
+        }
+        return [`${operator}:${value}`];
+    };
+
+    const flag = (field) => {
+        const value = filter[field];
+        if (value === undefined || value === null) return undefined;
+        if (typeof value !== 'boolean') {
+            problem(field, 'Must be true or false');
+            return undefined;
+        }
+        return value;
+    };
+
+    const day = (field) => {
+        const value = filter[field];
+        if (value === undefined || value === null) return null;
+        if (typeof value !== 'string' || !isValidDate(value)) {
+            problem(field, 'Must be a date as YYYY-MM-DD');
+            return null;
+        }
+        return value;
+    };
+
+    const from = usernames('from');
+    const to = usernames('to');
+    const mentioning = usernames('mentioning');
+    const allWords = words('allWords');
+    const anyWords = words('anyWords');
+    const noneWords = words('noneWords');
+    const phrases = list('phrases', /^[^"]*\S[^"]*$/, 'a phrase without double quotes');
+    const hashtags = list('hashtags', HASHTAG_PATTERN, 'a hashtag').map(tag => tag.match(HASHTAG_PATTERN)[1]);
+
+    let lang = null;
+    if (filter.lang !== undefined && filter.lang !== null) {
+        if (typeof filter.lang !== 'string' || !LANG_PATTERN.test(filter.lang)) {
+            problem('lang', 'Must be a language code, such as en or pt');
+        } else {
+            lang = filter.lang.toLowerCase();
+        }
+    }
+
+    const since = day('since');
+    const until = day('until');
+    if (since && until && since >= until) {
+        problem('until', 'Must be after since; until is exclusive');
+    }
+
+    const hasMedia = flag('hasMedia');
+    const hasLinks = flag('hasLinks');
+    const excludeReplies = flag('excludeReplies');
+    const excludeRetweets = flag('excludeRetweets');
+
+    const terms = [
+        ...allWords,
+        ...phrases.map(phrase => `"${phrase}"`),
+        ...hashtags.map(tag => `#${tag}`),
+        ...(anyWords.length > 0 ? [anyOf(anyWords)] : []),
+        ...(from.length > 0 ? [anyOf(from.map(name => `from:${name}`))] : []),
+        ...(to.length > 0 ? [anyOf(to.map(name => `to:${name}`))] : []),
+        ...(mentioning.length > 0 ? [anyOf(mentioning.map(name => `@${name}`))] : []),
+        ...(hasMedia === true ? ['filter:media'] : []),
+        ...(hasLinks === true ? ['filter:links'] : [])
+    ];
+    // Twitter returns nothing for a query made only of exclusions and limits
+    if (problems.length === 0 && terms.length === 0) {
+        problem('filter', 'Must include at least one of from, to, mentioning, allWords, anyWords, phrases, hashtags, hasMedia or hasLinks');
+    }
+
+    const query = [
+        ...terms,
+        ...noneWords.map(word => `-${word}`),
+        ...(lang ? [`lang:${lang}`] : []),
+        ...(since ? [`since:${since}`] : []),
+        ...(until ? [`until:${until}`] : []),
+        ...minimum('minLikes', 'min_faves'),
+        ...minimum('minRetweets', 'min_retweets'),
+        ...minimum('minReplies', 'min_replies'),
+        ...(hasMedia === false ? ['-filter:media'] : []),
+        ...(hasLinks === false ? ['-filter:links'] : []),
+        ...(excludeReplies ? ['-filter:replies'] : []),
+        ...(excludeRetweets ? ['-filter:retweets'] : [])
+    ].join(' ');
+
+    if (query.length > MAX_QUERY_LENGTH) {
+        problem('filter', `Compiles to ${query.length} characters, the limit is ${MAX_QUERY_LENGTH}`);
+    }
+    if (problems.length > 0) {
+        throw new ValidationError('Invalid search filter', problems);
+    }
+    return query;
+};
@@ -0,0 +1,87 @@
+import { SearchMode } from 'agent-twitter-client';
+
+/**
+ * Live search results for SSE and WebSocket clients. Subscribers of the same query share
+ * one poller that searches in Latest mode and only emits tweet ids it has not seen; the
+ * poller stops when the last subscriber leaves.
+ */
+export class SearchStream {
+    static POLL_INTERVAL_MS = 15 * 1000;
+    static FETCH_COUNT = 20;
+    static MAX_SEEN_IDS = 1000;
+
+    constructor(twitterHelper) {
+        this.helper = twitterHelper;
+        this.pollIntervalMs = Number(process.env.STREAM_POLL_INTERVAL_MS) || SearchStream.POLL_INTERVAL_MS;
+        this.pollers = new Map(); // query -> { subscribers, seen, primed, timer }
+    }
+
+    /**
+     * Receive new tweets for a query until the returned function is called
+     * @param {string} query
+     * @param {Object} subscriber
+     * @param {(read: (credentials: Object) => Promise<*>) => Promise<*>} subscriber.runRead - Runs a read with the subscriber's account or pool
+     * @param {(tweet: Object) => void} subscriber.onTweet
+     * @param {(error: Error) => void} subscriber.onError
+     * @returns {() => void} - Unsubscribe
+     */
+    subscribe(query, subscriber) {
+        let poller = this.pollers.get(query);
+        if (!poller) {
+            poller = { subscribers: new Set([subscriber]), seen: new Set(), primed: false, timer: null };
+            this.pollers.set(query, poller);
+            this.poll(query, poller);
+        }
+        poller.subscribers.add(subscriber);
+
+        return () => {
+            poller.subscribers.delete(subscriber);
+            if (poller.subscribers.size === 0) {
+                clearTimeout(poller.timer);
+                this.pollers.delete(query);
+            }
+        };
+    }
+
+    // Search once with the longest-standing subscriber's account and schedule the next poll
+    async poll(query, poller) {
+        const [subscriber] = poller.subscribers;
+        try {
+            if (subscriber) {
+                const result = await subscriber.runRead(credentials => this.helper.searchTweets(
+                    credentials,
+                    query,
+                    SearchStream.FETCH_COUNT,
+                    SearchMode.Latest,
+                    undefined,
+                    { noCache: true }
+                ));
+                const fresh = (result.tweets || [])
+                    .filter(tweet => tweet.id && !poller.seen.has(tweet.id))
+                    .sort((a, b) => (BigInt(a.id) < BigInt(b.id) ? -1 : 1));
+
+                for (const tweet of fresh) {
+                    poller.seen.add(tweet.id);
+                    // The first search only marks what already exists as seen
+                    if (poller.primed) {
+                        poller.subscribers.forEach(({ onTweet }) => onTweet(tweet));
+                    }
+                }
+                poller.primed = true;
+
+                // Sets iterate in insertion order, so this forgets the oldest ids
+                for (const id of poller.seen) {
+                    if (poller.seen.size <= SearchStream.MAX_SEEN_IDS) break;
+                    poller.seen.delete(id);
+                }
+            }
+        } catch (error) {
+            console.error(`Error polling search stream for "${query}":`, error.message);
+            poller.subscribers.forEach(({ onError }) => onError(error));
+        }
+
+        if (this.pollers.get(query) === poller) {
+            poller.timer = setTimeout(() => this.poll(query, poller), this.pollIntervalMs);
+        }
+    }
+}
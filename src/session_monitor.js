@@ -0,0 +1,187 @@
+import { toApiError } from './errors.js';
+
+export const SESSION_STATUS = {
+    UNKNOWN: 'unknown',
+    HEALTHY: 'healthy',
+    EXPIRING: 'expiring',
+    FAILED: 'failed'
+};
+
+// Cookies Twitter needs to accept a session
+const SESSION_COOKIES = ['auth_token', 'ct0'];
+
+// Earliest expiry of the session cookies, or null when they do not expire
+const sessionExpiry = (cookies = []) => {
+    const times = cookies
+        .filter(cookie => SESSION_COOKIES.includes(cookie.key))
+        .map(cookie => new Date(cookie.expires).getTime())
+        .filter(Number.isFinite);
+    return times.length > 0 ? new Date(Math.min(...times)) : null;
+};
+
+/**
+ * Checks the sessions of registered accounts in the background and logs in again
+ * when their cookies stop working or are about to expire, so requests do not pay
+ * for a login. The outcome of each check is kept in the session_status collection.
+ */
+export class SessionMonitor {
+    static CHECK_INTERVAL_MS = 30 * 60 * 1000;
+    static REFRESH_BEFORE_MS = 2 * 24 * 60 * 60 * 1000;
+    static POLL_INTERVAL_MS = 60 * 1000;
+
+    constructor(twitterHelper, accountStore) {
+        this.client = twitterHelper.client;
+        this.rateLimiter = twitterHelper.rateLimiter;
+        this.accounts = accountStore;
+        this.collectionName = 'session_status';
+        this.checkIntervalMs = Number(process.env.SESSION_CHECK_INTERVAL_MS) || SessionMonitor.CHECK_INTERVAL_MS;
+        this.refreshBeforeMs = Number(process.env.SESSION_REFRESH_BEFORE_MS) || SessionMonitor.REFRESH_BEFORE_MS;
+        this.timer = null;
+        this.running = false;
+    }
+
+    toPublic({ _id, ...status }) {
+        return {
+            username: _id,
+            accountId: status.accountId,
+            status: status.status,
+            cookiesExpireAt: status.cookiesExpireAt || null,
+            lastCheckedAt: status.lastCheckedAt || null,
+            lastSuccessAt: status.lastSuccessAt || null,
+            lastRefreshAt: status.lastRefreshAt || null,
+            lastError: status.lastError || null,
+            lastErrorCode: status.lastErrorCode || null,
+            lastErrorAt: status.lastErrorAt || null,
+            nextCheckAt: status.nextCheckAt
+        };
+    }
+
+    async get(username) {
+        const collection = await this.client.getCollection(this.collectionName);
+        const document = await collection.findOne({ _id: username });
+        return document ? this.toPublic(document) : null;
+    }
+
+    // Add a status for every registered account and drop those of removed accounts
+    async syncAccounts() {
+        const collection = await this.client.getCollection(this.collectionName);
+        const accounts = await this.accounts.list();
+        const now = new Date();
+
+        for (const { accountId, username } of accounts) {
+            await collection.updateOne(
+                { _id: username },
+                {
+                    $set: { accountId },
+                    $setOnInsert: { status: SESSION_STATUS.UNKNOWN, nextCheckAt: now }
+                },
+                { upsert: true }
+            );
+        }
+        await collection.deleteMany({ _id: { $nin: accounts.map(account => account.username) } });
+    }
+
+    /**
+     * Check one account's session and log in again if it is dead or expires
+     * within SESSION_REFRESH_BEFORE_MS
+     * @returns {Promise<Object>} - The recorded status
+     */
+    async check({ _id: username, accountId }) {
+        const collection = await this.client.getCollection(this.collectionName);
+        const now = new Date();
+        let session = null;
+        let cookiesExpireAt = null;
+
+        try {
+            await this.rateLimiter.acquire(username, 'read');
+            session = await this.client.getStoredSession(username);
+            cookiesExpireAt = session ? sessionExpiry(await session.getCookies()) : null;
+
+            const expiring = cookiesExpireAt && cookiesExpireAt.getTime() - now.getTime() < this.refreshBeforeMs;
+            if (session && !expiring) {
+                await collection.updateOne(
+                    { _id: username },
+                    { $set: { status: SESSION_STATUS.HEALTHY, cookiesExpireAt, lastCheckedAt: now, lastSuccessAt: now } }
+                );
+                return this.get(username);
+            }
+
+            const credentials = await this.accounts.resolveCredentials(accountId);
+            if (!credentials) {
+                throw new Error(`Account ${accountId} not found`);
+            }
+            const refreshed = await this.client.refreshSession(credentials);
+            await collection.updateOne(
+                { _id: username },
+                {
+                    $set: {
+                        status: SESSION_STATUS.HEALTHY,
+                        cookiesExpireAt: sessionExpiry(await refreshed.getCookies()),
+                        lastCheckedAt: now,
+                        lastSuccessAt: now,
+                        lastRefreshAt: now
+                    }
+                }
+            );
+        } catch (error) {
+            const { message, code } = toApiError(error, `Failed to refresh session for ${username}`);
+            console.error(message);
+            await this.rateLimiter.recordError(username, error);
+
+            // A session that still works is only expiring, even if logging in again failed
+            await collection.updateOne(
+                { _id: username },
+                {
+                    $set: {
+                        status: session ? SESSION_STATUS.EXPIRING : SESSION_STATUS.FAILED,
+                        cookiesExpireAt,
+                        lastCheckedAt: now,
+                        ...(session && { lastSuccessAt: now }),
+                        lastError: message,
+                        lastErrorCode: code,
+                        lastErrorAt: now
+                    }
+                }
+            );
+        }
+        return this.get(username);
+    }
+
+    // Atomically claim an account that is due for a check, pushing its next check forward
+    async claimNext() {
+        const collection = await this.client.getCollection(this.collectionName);
+        const now = new Date();
+        return collection.findOneAndUpdate(
+            { nextCheckAt: { $lte: now } },
+            { $set: { nextCheckAt: new Date(now.getTime() + this.checkIntervalMs) } },
+            { sort: { nextCheckAt: 1 } }
+        );
+    }
+
+    async runOnce() {
+        if (this.running) return;
+        this.running = true;
+        try {
+            await this.syncAccounts();
+            let status;
+            while ((status = await this.claimNext())) {
+                await this.check(status);
+            }
+        } catch (error) {
+            console.error('Error running session monitor:', error.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    start(intervalMs = SessionMonitor.POLL_INTERVAL_MS) {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.runOnce(), intervalMs);
+        console.log(`Session monitor running every ${intervalMs}ms`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
@@ -0,0 +1,303 @@
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname, resolve } from 'path';
+
+/**
+ * Storage drivers for session cookies and cached Twitter data.
+ * Every driver implements the same methods:
+ *   getCookies(username), saveCookies(username, cookies),
+ *   getCache(type, key), setCache(type, key, entry),
+ *   cacheStats(), purgeCache({ type, key, account }), ensureIndexes()
+ * where a cache entry is { data, timestamp, expiresAt, account, subject } with times in epoch ms,
+ * account being the Twitter account whose session fetched the data and subject the user id,
+ * username, tweet id or query the entry is about. Keys of paged entries add the count and
+ * cursor to the subject, so purging by key matches the subject as well as the whole key.
+ * The driver is picked with STORAGE_DRIVER (mongo, memory or file).
+ */
+
+export const CACHE_TYPES = ['profile', 'target_profile', 'tweet', 'user_tweets', 'timeline', 'search', 'following', 'followers'];
+
+// Per-type stats with every known type present, in CACHE_TYPES order
+const statsByType = (stats) => CACHE_TYPES.map(type => stats.find(stat => stat.type === type) || {
+    type,
+    entries: 0,
+    oldestAt: null,
+    newestAt: null
+});
+
+/**
+ * MongoDB driver, using the cookies and twitter_cache collections
+ */
+export class MongoStorage {
+    constructor(twitterClient) {
+        this.client = twitterClient;
+        this.cookiesCollection = 'cookies';
+        this.cacheCollection = 'twitter_cache';
+    }
+
+    async getCookies(username) {
+        const collection = await this.client.getCollection(this.cookiesCollection);
+        const document = await collection.findOne({ _id: username });
+        return document?.cookies || null;
+    }
+
+    async saveCookies(username, cookies) {
+        const collection = await this.client.getCollection(this.cookiesCollection);
+        await collection.updateOne(
+            { _id: username },
+            { $set: { cookies, updatedAt: new Date() } },
+            { upsert: true }
+        );
+    }
+
+    async getCache(type, key) {
+        const collection = await this.client.getCollection(this.cacheCollection);
+        return collection.findOne({ _id: `${type}_${key}` });
+    }
+
+    async setCache(type, key, entry) {
+        const collection = await this.client.getCollection(this.cacheCollection);
+        // expiresAt is stored as a date so the TTL index can remove the entry
+        await collection.updateOne(
+            { _id: `${type}_${key}` },
+            { $set: { type, key, ...entry, expiresAt: new Date(entry.expiresAt) } },
+            { upsert: true }
+        );
+    }
+
+    async cacheStats() {
+        const collection = await this.client.getCollection(this.cacheCollection);
+        const stats = await collection.aggregate([
+            { $match: { type: { $in: CACHE_TYPES } } },
+            {
+                $group: {
+                    _id: '$type',
+                    entries: { $sum: 1 },
+                    oldestAt: { $min: '$timestamp' },
+                    newestAt: { $max: '$timestamp' }
+                }
+            }
+        ]).toArray();
+        return statsByType(stats.map(({ _id, oldestAt, newestAt, ...stat }) => ({
+            type: _id,
+            ...stat,
+            oldestAt: new Date(oldestAt),
+            newestAt: new Date(newestAt)
+        })));
+    }
+
+    async purgeCache({ type, key, account }) {
+        const collection = await this.client.getCollection(this.cacheCollection);
+        const filter = {};
+        if (type) filter.type = type;
+        if (key) filter.$or = [{ subject: key }, { key }];
+        if (account) filter.account = account;
+        const result = await collection.deleteMany(filter);
+        return result.deletedCount;
+    }
+
+    async ensureIndexes() {
+        const collection = await this.client.getCollection(this.cacheCollection);
+        // Entries written by earlier versions have a numeric expiresAt, which the TTL index
+        // never removes, and no type or key to list and purge them by. They are only cache,
+        // so they are dropped rather than migrated.
+        const legacy = await collection.deleteMany({
+            $or: [{ type: { $exists: false } }, { expiresAt: { $not: { $type: 'date' } } }]
+        });
+        if (legacy.deletedCount > 0) {
+            console.log(`Removed ${legacy.deletedCount} cache entries in the old format`);
+        }
+        await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        await collection.createIndex({ type: 1, key: 1 });
+        await collection.createIndex({ subject: 1 });
+        await collection.createIndex({ account: 1 });
+    }
+}
+
+/**
+ * In-process driver; nothing survives a restart and nothing is shared between containers
+ */
+export class MemoryStorage {
+    constructor() {
+        this.cookies = new Map();
+        this.cache = new Map();
+        this.expiryTimer = null;
+    }
+
+    async getCookies(username) {
+        return this.cookies.get(username) || null;
+    }
+
+    async saveCookies(username, cookies) {
+        this.cookies.set(username, cookies);
+    }
+
+    async getCache(type, key) {
+        return this.cache.get(`${type}_${key}`) || null;
+    }
+
+    async setCache(type, key, entry) {
+        this.cache.set(`${type}_${key}`, { type, key, ...entry });
+    }
+
+    async cacheStats() {
+        const stats = new Map();
+        for (const entry of this.cache.values()) {
+            const stat = stats.get(entry.type) || { type: entry.type, entries: 0, oldestAt: null, newestAt: null };
+            stat.entries++;
+            stat.oldestAt = new Date(Math.min(stat.oldestAt?.getTime() ?? Infinity, entry.timestamp));
+            stat.newestAt = new Date(Math.max(stat.newestAt?.getTime() ?? 0, entry.timestamp));
+            stats.set(entry.type, stat);
+        }
+        return statsByType([...stats.values()]);
+    }
+
+    async purgeCache({ type, key, account }) {
+        let deleted = 0;
+        for (const [id, entry] of this.cache) {
+            if ((!type || entry.type === type) && (!key || entry.subject === key || entry.key === key) && (!account || entry.account === account)) {
+                this.cache.delete(id);
+                deleted++;
+            }
+        }
+        return deleted;
+    }
+
+    // Stand-in for Mongo's TTL index: drop entries past their expiry
+    purgeExpired() {
+        const now = Date.now();
+        let deleted = 0;
+        for (const [id, entry] of this.cache) {
+            if (entry.expiresAt <= now) {
+                this.cache.delete(id);
+                deleted++;
+            }
+        }
+        return deleted;
+    }
+
+    async ensureIndexes() {
+        if (!this.expiryTimer) {
+            this.expiryTimer = setInterval(() => this.purgeExpired(), 60 * 1000);
+            this.expiryTimer.unref();
+        }
+    }
+}
+
+/**
+ * Local JSON file driver for single-container deployments.
+ * Data is held in memory and the whole file is rewritten (atomically) after each change.
+ */
+export class FileStorage extends MemoryStorage {
+    constructor(filePath) {
+        super();
+        this.filePath = resolve(filePath);
+        this.loaded = null;
+        this.writing = Promise.resolve();
+    }
+
+    async load() {
+        if (!this.loaded) {
+            this.loaded = readFile(this.filePath, 'utf8')
+                .then(contents => {
+                    const { cookies = {}, cache = {} } = JSON.parse(contents);
+                    this.cookies = new Map(Object.entries(cookies));
+                    this.cache = new Map(Object.entries(cache));
+                })
+                .catch(error => {
+                    if (error.code !== 'ENOENT') {
+                        console.error(`Failed to read storage file ${this.filePath}:`, error.message);
+                    }
+                });
+        }
+        return this.loaded;
+    }
+
+    // Queue writes so concurrent changes never interleave
+    persist() {
+        this.writing = this.writing.then(async () => {
+            const contents = JSON.stringify({
+                cookies: Object.fromEntries(this.cookies),
+                cache: Object.fromEntries(this.cache)
+            });
+            await mkdir(dirname(this.filePath), { recursive: true });
+            await writeFile(`${this.filePath}.tmp`, contents);
+            await rename(`${this.filePath}.tmp`, this.filePath);
+        }).catch(error => {
+            console.error(`Failed to write storage file ${this.filePath}:`, error.message);
+        });
+        return this.writing;
+    }
+
+    async getCookies(username) {
+        await this.load();
+        return super.getCookies(username);
+    }
+
+    async saveCookies(username, cookies) {
+        await this.load();
+        await super.saveCookies(username, cookies);
+        await this.persist();
+    }
+
+    async getCache(type, key) {
+        await this.load();
+        return super.getCache(type, key);
+    }
+
+    async setCache(type, key, entry) {
+        await this.load();
+        await super.setCache(type, key, entry);
+        await this.persist();
+    }
+
+    async cacheStats() {
+        await this.load();
+        return super.cacheStats();
+    }
+
+    async purgeCache(filter) {
+        await this.load();
+        const deleted = await super.purgeCache(filter);
+        if (deleted > 0) await this.persist();
+        return deleted;
+    }
+
+    purgeExpired() {
+        if (!this.loaded) return 0;
+        const deleted = super.purgeExpired();
+        if (deleted > 0) this.persist();
+        return deleted;
+    }
+}
+
+// In-process drivers are shared so every TwitterClient sees the same data
+let localDriver = null;
+
+/**
+ * Whether MongoDB is available for the features the storage drivers do not cover, such as
+ * registered accounts, API keys and the background jobs: always with the mongo driver, and
+ * with the memory and file drivers only when MONGO_CONNECTION is set as well
+ * @returns {boolean}
+ */
+export const databaseConfigured = () => (process.env.STORAGE_DRIVER || 'mongo') === 'mongo' || Boolean(process.env.MONGO_CONNECTION);
+
+/**
+ * Create the storage driver selected by STORAGE_DRIVER
+ * @param {import('./client.js').TwitterClient} twitterClient - Client whose Mongo connection the mongo driver uses
+ * @returns {MongoStorage|MemoryStorage|FileStorage}
+ */
+export const createStorage = (twitterClient) => {
+    const driver = process.env.STORAGE_DRIVER || 'mongo';
+    switch (driver) {
+        case 'mongo':
+            return new MongoStorage(twitterClient);
+        case 'memory':
+            localDriver ??= new MemoryStorage();
+            return localDriver;
+        case 'file':
+            localDriver ??= new FileStorage(process.env.STORAGE_FILE_PATH || 'data/storage.json');
+            return localDriver;
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER: ${driver} (expected mongo, memory or file)`);
+    }
+};
@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import { toApiError, UpstreamError } from './errors.js';
+
+export const THREAD_STATUS = {
+    IN_PROGRESS: 'in_progress',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+/**
+ * Posts threads as a chain of replies and tracks progress in the thread_jobs collection,
+ * so a thread that fails midway can be resumed from the failed tweet. Media is kept in
+ * the MediaStore until the thread completes, and jobs only hold the media handles.
+ *
+ * Each request posting a thread holds a claim id. Its writes only apply while the claim is
+ * still its own, so a request that stalled and was resumed elsewhere stops at its next tweet
+ * instead of forking the chain.
+ */
+export class ThreadPoster {
+    static MAX_TWEETS = 25;
+    // A thread in progress that has not touched its job for this long was left by a stopped request
+    static LEASE_MS = 15 * 60 * 1000;
+
+    constructor(twitterHelper, mediaStore) {
+        this.helper = twitterHelper;
+        this.client = twitterHelper.client;
+        this.media = mediaStore;
+        this.collectionName = 'thread_jobs';
+    }
+
+    // Convert a stored job into the shape returned by the API
+    toPublic(document) {
+        return {
+            id: document._id,
+            username: document.username,
+            status: document.status,
+            total: document.tweets.length,
+            posted: document.posted,
+            failedIndex: document.status === THREAD_STATUS.FAILED ? document.nextIndex : null,
+            error: document.error || null,
+            errorCode: document.errorCode || null,
+            retryAt: document.retryAt || null,
+            createdAt: document.createdAt,
+            updatedAt: document.updatedAt
+        };
+    }
+
+    async create({ username, tweets, reply_to_id }) {
+        const collection = await this.client.getCollection(this.collectionName);
+        const now = new Date();
+        const threadId = `thread_${crypto.randomBytes(12).toString('hex')}`;
+
+        // Media can be far larger than a document, so it is kept until the thread completes
+        const stored = [];
+        for (const { text, mediaData = [] } of tweets) {
+            const mediaIds = [];
+            for (const media of mediaData) {
+                mediaIds.push((await this.media.store(media, threadId, { expires: false })).mediaId);
+            }
+            stored.push({ text, mediaIds });
+        }
+
+        const document = {
+            _id: threadId,
+            username,
+            tweets: stored,
+            reply_to_id: reply_to_id || null,
+            posted: [],
+            nextIndex: 0,
+            status: THREAD_STATUS.IN_PROGRESS,
+            claimId: crypto.randomBytes(8).toString('hex'),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        try {
+            await collection.insertOne(document);
+        } catch (error) {
+            await this.media.remove(stored.flatMap(tweet => tweet.mediaIds));
+            throw error;
+        }
+        return document;
+    }
+
+    async get(threadId) {
+        const collection = await this.client.getCollection(this.collectionName);
+        const document = await collection.findOne({ _id: threadId });
+        return document ? this.toPublic(document) : null;
+    }
+
+    // Atomically move a failed or stalled thread back to in progress; null if it is not resumable
+    async claimForResume(threadId) {
+        const collection = await this.client.getCollection(this.collectionName);
+        const staleBefore = new Date(Date.now() - ThreadPoster.LEASE_MS);
+        return collection.findOneAndUpdate(
+            {
+                _id: threadId,
+                $or: [
+                    { status: THREAD_STATUS.FAILED },
+                    { status: THREAD_STATUS.IN_PROGRESS, updatedAt: { $lt: staleBefore } }
+                ]
+            },
+            {
+                $set: { status: THREAD_STATUS.IN_PROGRESS, claimId: crypto.randomBytes(8).toString('hex'), updatedAt: new Date() },
+                $unset: { error: '', errorCode: '', retryAt: '' }
+            },
+            { returnDocument: 'after' }
+        );
+    }
+
+    // Post the remaining tweets of a claimed thread, stopping at the first failure or when
+    // another request has claimed the thread
+    async post(credentials, document) {
+        const collection = await this.client.getCollection(this.collectionName);
+        const claim = { _id: document._id, claimId: document.claimId };
+        // Replies continue from the last tweet whose id was recorded
+        let parentId = document.posted.at(-1)?.tweetId || document.reply_to_id;
+
+        for (let index = document.nextIndex; index < document.tweets.length; index++) {
+            const { text, mediaIds = [] } = document.tweets[index];
+
+            // Renew the claim before each tweet, so a thread that is still posting never looks stalled
+            const renewed = await collection.updateOne(
+                { ...claim, status: THREAD_STATUS.IN_PROGRESS, nextIndex: index },
+                { $set: { updatedAt: new Date() } }
+            );
+            if (renewed.matchedCount === 0) {
+                console.error(`Thread ${document._id} was claimed by another request, stopping at index ${index}`);
+                return this.get(document._id);
+            }
+
+            let result;
+            try {
+                const media = await this.media.load(mediaIds, document._id);
+                result = await this.helper.sendTweet({
+                    ...credentials,
+                    text,
+                    reply_to_id: parentId || undefined,
+                    quote_tweet_id: undefined,
+                    mediaData: media.length > 0 ? media : undefined
+                });
+                if (!result?.rest_id) {
+                    throw new UpstreamError('Tweet was not created');
+                }
+            } catch (error) {
+                const { message, code, retryAfter } = toApiError(error);
+                console.error(`Error posting thread ${document._id} at index ${index}:`, message);
+                const now = new Date();
+                await collection.updateOne(
+                    claim,
+                    {
+                        $set: {
+                            status: THREAD_STATUS.FAILED,
+                            error: message,
+                            errorCode: code,
+                            retryAt: retryAfter !== undefined ? new Date(now.getTime() + retryAfter * 1000) : null,
+                            updatedAt: now
+                        }
+                    }
+                );
+                return this.get(document._id);
+            }
+
+            // The tweet is on Twitter, so its id is recorded even if the claim was lost meanwhile
+            parentId = result.rest_id;
+            await collection.updateOne(
+                { _id: document._id, nextIndex: index },
+                {
+                    $push: { posted: { index, tweetId: parentId } },
+                    $set: { nextIndex: index + 1, updatedAt: new Date() }
+                }
+            );
+        }
+
+        const completed = await collection.updateOne(
+            claim,
+            { $set: { status: THREAD_STATUS.COMPLETED, updatedAt: new Date() } }
+        );
+        if (completed.matchedCount === 0) {
+            return this.get(document._id);
+        }
+        await this.media.remove(document.tweets.flatMap(tweet => tweet.mediaIds || [])).catch((error) => {
+            console.error(`Error removing media of thread ${document._id}:`, error.message);
+        });
+        return this.get(document._id);
+    }
+}
@@ -0,0 +1,168 @@
+/**
+ * One tweet model for every read endpoint. agent-twitter-client parses some responses
+ * into its own Tweet shape while the timeline is read as raw GraphQL, so both are mapped
+ * here to the Tweet component schema published in the Swagger definition.
+ */
+
+const tweetUrl = (username, id) => (username && id ? `https://x.com/${username}/status/${id}` : null);
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+// Reply reference, or null when the tweet is not a reply
+const replyReference = (id, userId, username) => (id ? { id, userId: userId || null, username: username || null } : null);
+
+// Nested tweets are normalized once; their own quoted and retweeted tweets are left out
+const nestedTweet = (tweet, nested, normalize) => (tweet && !nested ? normalize(tweet, true) : null);
+
+/**
+ * Map a tweet parsed by agent-twitter-client (getTweet, getTweets, fetchSearchTweets)
+ * @param {Object} tweet - agent-twitter-client Tweet
+ * @param {boolean} [nested] - Whether this is a quoted or retweeted tweet
+ * @returns {Object} - Normalized tweet
+ */
+export const fromScraperTweet = (tweet, nested = false) => {
+    const createdAt = tweet.timeParsed
+        ? new Date(tweet.timeParsed)
+        : tweet.timestamp ? new Date(tweet.timestamp * 1000) : null;
+
+    return {
+        id: tweet.id,
+        url: tweetUrl(tweet.username, tweet.id),
+        text: tweet.text ?? '',
+        createdAt: createdAt?.toISOString() ?? null,
+        lang: null,
+        conversationId: tweet.conversationId ?? null,
+        author: {
+            id: tweet.userId ?? null,
+            username: tweet.username ?? null,
+            name: tweet.name ?? null,
+            profileImageUrl: null,
+            isVerified: null
+        },
+        metrics: {
+            likes: toNumber(tweet.likes),
+            retweets: toNumber(tweet.retweets),
+            replies: toNumber(tweet.replies),
+            quotes: null,
+            bookmarks: toNumber(tweet.bookmarkCount),
+            views: toNumber(tweet.views)
+        },
+        media: [
+            ...(tweet.photos || []).map(photo => ({
+                type: 'photo',
+                id: photo.id,
+                url: photo.url,
+                previewUrl: null,
+                altText: photo.alt_text ?? null,
+                variants: []
+            })),
+            // The library keeps only the highest bitrate MP4 of each video
+            ...(tweet.videos || []).map(video => ({
+                type: 'video',
+                id: video.id,
+                url: video.url ?? null,
+                previewUrl: video.preview ?? null,
+                altText: null,
+                variants: video.url ? [{ url: video.url, contentType: 'video/mp4', bitrate: null }] : []
+            }))
+        ],
+        entities: {
+            hashtags: tweet.hashtags || [],
+            mentions: (tweet.mentions || []).map(({ id, username, name }) => ({ id, username: username ?? null, name: name ?? null })),
+            urls: tweet.urls || []
+        },
+        isReply: Boolean(tweet.isReply),
+        isRetweet: Boolean(tweet.isRetweet),
+        isQuote: Boolean(tweet.isQuoted),
+        isPinned: Boolean(tweet.isPin),
+        sensitive: Boolean(tweet.sensitiveContent),
+        replyTo: replyReference(tweet.inReplyToStatusId, tweet.inReplyToStatus?.userId, tweet.inReplyToStatus?.username),
+        quotedTweetId: tweet.quotedStatusId ?? null,
+        quotedTweet: nestedTweet(tweet.quotedStatus, nested, fromScraperTweet),
+        retweetedTweetId: tweet.retweetedStatusId ?? null,
+        retweetedTweet: nestedTweet(tweet.retweetedStatus, nested, fromScraperTweet)
+    };
+};
+
+// Unwrap TweetWithVisibilityResults and similar wrappers around a GraphQL tweet result
+const unwrap = (result) => result?.tweet ?? result;
+
+/**
+ * Map a raw GraphQL tweet result, as returned by timelines
+ * @param {Object} result - tweet_results.result
+ * @param {boolean} [nested] - Whether this is a quoted or retweeted tweet
+ * @returns {Object} - Normalized tweet
+ */
+export const fromGraphqlTweet = (result, nested = false) => {
+    const tweet = unwrap(result);
+    const legacy = tweet.legacy || {};
+    const user = tweet.core?.user_results?.result;
+    const userLegacy = user?.legacy || {};
+    const entities = legacy.entities || {};
+    const media = legacy.extended_entities?.media || entities.media || [];
+    const retweeted = unwrap(legacy.retweeted_status_result?.result);
+    const quoted = unwrap(tweet.quoted_status_result?.result);
+
+    return {
+        id: tweet.rest_id,
+        url: tweetUrl(userLegacy.screen_name, tweet.rest_id),
+        // Long tweets keep their full text in note_tweet
+        text: tweet.note_tweet?.note_tweet_results?.result?.text ?? legacy.full_text ?? '',
+        createdAt: legacy.created_at ? new Date(legacy.created_at).toISOString() : null,
+        lang: legacy.lang ?? null,
+        conversationId: legacy.conversation_id_str ?? null,
+        author: {
+            id: user?.rest_id ?? legacy.user_id_str ?? null,
+            username: userLegacy.screen_name ?? null,
+            name: userLegacy.name ?? null,
+            profileImageUrl: userLegacy.profile_image_url_https ?? null,
+            isVerified: user ? Boolean(user.is_blue_verified || userLegacy.verified) : null
+        },
+        metrics: {
+            likes: toNumber(legacy.favorite_count),
+            retweets: toNumber(legacy.retweet_count),
+            replies: toNumber(legacy.reply_count),
+            quotes: toNumber(legacy.quote_count),
+            bookmarks: toNumber(legacy.bookmark_count),
+            views: toNumber(tweet.views?.count)
+        },
+        media: media.map(item => {
+            const variants = (item.video_info?.variants || []).map(variant => ({
+                url: variant.url,
+                contentType: variant.content_type,
+                bitrate: variant.bitrate ?? null
+            }));
+            const best = variants
+                .filter(variant => variant.contentType === 'video/mp4')
+                .sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0))[0];
+            return {
+                type: item.type,
+                id: item.id_str,
+                url: item.type === 'photo' ? item.media_url_https : best?.url ?? null,
+                previewUrl: item.type === 'photo' ? null : item.media_url_https ?? null,
+                altText: item.ext_alt_text ?? null,
+                variants
+            };
+        }),
+        entities: {
+            hashtags: (entities.hashtags || []).map(hashtag => hashtag.text),
+            mentions: (entities.user_mentions || []).map(mention => ({
+                id: mention.id_str,
+                username: mention.screen_name ?? null,
+                name: mention.name ?? null
+            })),
+            urls: (entities.urls || []).map(url => url.expanded_url)
+        },
+        isReply: Boolean(legacy.in_reply_to_status_id_str),
+        isRetweet: Boolean(retweeted),
+        isQuote: Boolean(legacy.is_quote_status),
+        // Raw GraphQL timelines are only read for the home timeline and mentions, which have no pins
+        isPinned: false,
+        sensitive: Boolean(legacy.possibly_sensitive),
+        replyTo: replyReference(legacy.in_reply_to_status_id_str, legacy.in_reply_to_user_id_str, legacy.in_reply_to_screen_name),
+        quotedTweetId: legacy.quoted_status_id_str ?? quoted?.rest_id ?? null,
+        quotedTweet: nestedTweet(quoted, nested, fromGraphqlTweet),
+        retweetedTweetId: retweeted?.rest_id ?? null,
+        retweetedTweet: nestedTweet(retweeted, nested, fromGraphqlTweet)
+    };
+};
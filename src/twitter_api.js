@@ -0,0 +1,438 @@
+/**
+ * Direct requests to Twitter's internal API for operations agent-twitter-client
+ * does not expose (or exposes without pagination).
+ * Requests reuse the session of a logged-in Scraper returned by TwitterClient.getClient.
+ */
+
+import crypto from 'crypto';
+import { twitterError, UpstreamError, UpstreamTimeoutError } from './errors.js';
+
+const GRAPHQL_URL = 'https://x.com/i/api/graphql';
+
+const TIMELINE_FEATURES = {
+    rweb_tipjar_consumption_enabled: true,
+    responsive_web_graphql_exclude_directive_enabled: true,
+    verified_phone_label_enabled: false,
+    creator_subscriptions_tweet_preview_api_enabled: true,
+    responsive_web_graphql_timeline_navigation_enabled: true,
+    responsive_web_graphql_skip_user_profile_image_extensions_enabled: false,
+    communities_web_enable_tweet_community_results_fetch: true,
+    c9s_tweet_anatomy_moderator_badge_enabled: true,
+    articles_preview_enabled: true,
+    responsive_web_edit_tweet_api_enabled: true,
+    graphql_is_translatable_rweb_tweet_is_translatable_enabled: true,
+    view_counts_everywhere_api_enabled: true,
+    longform_notetweets_consumption_enabled: true,
+    responsive_web_twitter_article_tweet_consumption_enabled: true,
+    tweet_awards_web_tipping_enabled: false,
+    creator_subscriptions_quote_tweet_preview_enabled: false,
+    freedom_of_speech_not_reach_fetch_enabled: true,
+    standardized_nudges_misinfo: true,
+    tweet_with_visibility_results_prefer_gql_limited_actions_policy_enabled: true,
+    rweb_video_timestamps_enabled: true,
+    longform_notetweets_rich_text_read_enabled: true,
+    longform_notetweets_inline_media_enabled: true,
+    responsive_web_enhance_cards_enabled: false
+};
+
+/**
+ * Perform an authenticated request with the scraper's session
+ * @param {import('agent-twitter-client').Scraper} scraper - Logged-in scraper
+ * @param {string} url - Request URL
+ * @param {Object} [options]
+ * @param {string} [options.method] - HTTP method
+ * @param {Object} [options.body] - JSON body
+ * @param {Object} [options.form] - Form-encoded body, used by the REST 1.1 endpoints
+ * @param {FormData} [options.multipart] - Multipart body, used for media uploads
+ * @returns {Promise<Object|null>} - Parsed JSON response, or null for empty responses
+ * @throws {import('./errors.js').ApiError} Typed from Twitter's status and error codes
+ */
+export const requestApi = async (scraper, url, { method = 'GET', body, form, multipart } = {}) => {
+    const headers = new Headers({
+        'x-twitter-active-user': 'yes',
+        'x-twitter-auth-type': 'OAuth2Session'
+    });
+    // Multipart bodies set their own content type with the boundary
+    if (!multipart) {
+        headers.set('content-type', form ? 'application/x-www-form-urlencoded' : 'application/json');
+    }
+    await scraper.auth.installTo(headers, url);
+
+    const response = await scraper.auth.fetch(url, {
+        method,
+        headers,
+        body: multipart || (form ? new URLSearchParams(form).toString() : body ? JSON.stringify(body) : undefined),
+        credentials: 'include'
+    });
+
+    // Keep the session's cookie jar in sync (e.g. rotated ct0 tokens)
+    for (const cookie of response.headers.getSetCookie?.() || []) {
+        await scraper.auth.cookieJar().setCookie(cookie, url, { ignoreError: true });
+    }
+
+    const text = await response.text();
+    if (!response.ok) {
+        throw twitterError({ status: response.status, body: text, headers: response.headers });
+    }
+    return text ? JSON.parse(text) : null;
+};
+
+/**
+ * Build a GraphQL GET url with encoded variables and features
+ * @param {string} queryId - GraphQL query id
+ * @param {string} operation - GraphQL operation name
+ * @param {Object} variables - Query variables
+ * @param {Object} [features] - Feature flags
+ * @returns {string}
+ */
+export const graphqlUrl = (queryId, operation, variables, features = TIMELINE_FEATURES) => {
+    const params = new URLSearchParams({
+        variables: JSON.stringify(variables),
+        features: JSON.stringify(features)
+    });
+    return `${GRAPHQL_URL}/${queryId}/${operation}?${params}`;
+};
+
+/**
+ * Collect raw tweet results and the bottom cursor from timeline instructions
+ * @param {Object[]} instructions - Timeline instructions
+ * @returns {{ tweets: Object[], next: string|undefined, showMore: Array<{ cursor: string, afterId: string|null }> }}
+ *   - showMore holds the "Show more replies" cursors of conversation modules, with the last tweet shown before each
+ */
+export const parseTimelineInstructions = (instructions = []) => {
+    const tweets = [];
+    const showMore = [];
+    let next;
+
+    for (const instruction of instructions) {
+        const entries = instruction.type === 'TimelineAddEntries'
+            ? instruction.entries ?? []
+            : instruction.type === 'TimelineReplaceEntry' ? [instruction.entry]
+                // Following a ShowMore cursor adds items to an existing module
+                : instruction.type === 'TimelineAddToModule' ? [{ content: { items: instruction.moduleItems ?? [] } }] : [];
+
+        for (const entry of entries) {
+            const content = entry?.content;
+            // Modules, such as conversation threads, hold several items
+            const items = content?.items?.map(({ item }) => item?.itemContent) ?? [content?.itemContent];
+            let afterId = null;
+            for (const itemContent of items) {
+                const tweet = itemContent?.tweet_results?.result;
+                if (tweet) {
+                    const unwrapped = tweet.tweet ?? tweet; // unwrap TweetWithVisibilityResults
+                    tweets.push(unwrapped);
+                    afterId = unwrapped.rest_id ?? afterId;
+                } else if (content?.items && itemContent?.cursorType === 'ShowMore') {
+                    showMore.push({ cursor: itemContent.value, afterId });
+                }
+            }
+
+            // Timelines put the cursor on the entry, conversations on its item
+            const cursor = content?.cursorType ? content : content?.itemContent;
+            if (cursor?.cursorType === 'Bottom') {
+                next = cursor.value;
+            }
+        }
+    }
+    return { tweets, next, showMore };
+};
+
+/**
+ * Fetch a page of the home ("For you") or following timeline
+ * @param {import('agent-twitter-client').Scraper} scraper - Logged-in scraper
+ * @param {number} count - Number of tweets to request
+ * @param {boolean} following - Fetch the following timeline instead of home
+ * @param {string} [cursor] - Cursor from a previous page
+ * @returns {Promise<{ tweets: Object[], next: string|undefined }>} - Raw tweet results and next cursor
+ */
+export const fetchTimelinePage = async (scraper, count, following, cursor) => {
+    const variables = {
+        count,
+        includePromotedContent: true,
+        latestControlAvailable: true,
+        requestContext: 'launch',
+        withCommunity: true,
+        ...(cursor && { cursor })
+    };
+    const url = following
+        ? graphqlUrl('K0X1xbCZUjttdK8RazKAlw', 'HomeLatestTimeline', variables)
+        : graphqlUrl('HJFjzBgCs16TqxewQOeLNg', 'HomeTimeline', variables);
+
+    const response = await requestApi(scraper, url);
+    return parseTimelineInstructions(response?.data?.home?.home_timeline_urt?.instructions);
+};
+
+/**
+ * Fetch a page of a conversation: the focal tweet and its ancestors, then threads of replies
+ * @param {import('agent-twitter-client').Scraper} scraper - Logged-in scraper
+ * @param {string} tweetId - Focal tweet
+ * @param {string} [cursor] - Bottom or ShowMore cursor from a previous page
+ * @returns {Promise<{ tweets: Object[], next: string|undefined, showMore: Object[] }>} - Raw tweet results, next cursor and ShowMore cursors
+ */
+export const fetchConversationPage = async (scraper, tweetId, cursor) => {
+    const variables = {
+        focalTweetId: tweetId,
+        referrer: 'tweet',
+        with_rux_injections: false,
+        rankingMode: 'Relevance',
+        includePromotedContent: false,
+        withCommunity: true,
+        withQuickPromoteEligibilityTweetFields: true,
+        withBirdwatchNotes: true,
+        withVoice: true,
+        ...(cursor && { cursor })
+    };
+    const url = graphqlUrl('xOhkmRac04YFZmOzU9PJHg', 'TweetDetail', variables);
+    const response = await requestApi(scraper, url);
+    return parseTimelineInstructions(response?.data?.threaded_conversation_with_injections_v2?.instructions);
+};
+
+/**
+ * Fetch a page of tweets mentioning the logged-in account, newest first
+ * @param {import('agent-twitter-client').Scraper} scraper - Logged-in scraper
+ * @param {number} count - Number of mentions to request
+ * @param {string} [cursor] - Cursor from a previous page
+ * @returns {Promise<{ tweets: Object[], next: string|undefined }>} - Tweets shaped like GraphQL tweet results, and next cursor
+ */
+export const fetchMentionsPage = async (scraper, count, cursor) => {
+    const params = new URLSearchParams({
+        tweet_mode: 'extended',
+        include_entities: 'true',
+        include_ext_alt_text: 'true',
+        include_quote_count: 'true',
+        include_reply_count: '1',
+        simple_quoted_tweet: 'true',
+        count: String(count),
+        ...(cursor && { cursor })
+    });
+    const response = await requestApi(scraper, `https://x.com/i/api/2/notifications/mentions.json?${params}`);
+    const { tweets = {}, users = {} } = response?.globalObjects || {};
+
+    // Wrap the REST tweet and user objects like GraphQL results, so timelines and mentions share one normalizer
+    const asResult = (id) => {
+        const tweet = tweets[id];
+        if (!tweet) return undefined;
+        const user = users[tweet.user_id_str];
+        return {
+            rest_id: tweet.id_str,
+            legacy: {
+                ...tweet,
+                ...(tweet.retweeted_status_id_str && { retweeted_status_result: { result: asResult(tweet.retweeted_status_id_str) } })
+            },
+            core: { user_results: { result: user && { rest_id: user.id_str, legacy: user } } },
+            ...(tweet.quoted_status_id_str && { quoted_status_result: { result: asResult(tweet.quoted_status_id_str) } })
+        };
+    };
+
+    const ids = [];
+    let next;
+    for (const instruction of response?.timeline?.instructions || []) {
+        const entries = instruction.addEntries?.entries ?? (instruction.replaceEntry ? [instruction.replaceEntry.entry] : []);
+        for (const entry of entries) {
+            const id = entry?.content?.item?.content?.tweet?.id;
+            if (id) {
+                ids.push(id);
+            } else if (entry?.content?.operation?.cursor?.cursorType === 'Bottom') {
+                next = entry.content.operation.cursor.value;
+            }
+        }
+    }
+    return { tweets: ids.map(asResult).filter(Boolean), next };
+};
+
+/**
+ * Run a GraphQL mutation and fail on errors reported in the response body
+ * @param {import('agent-twitter-client').Scraper} scraper - Logged-in scraper
+ * @param {string} queryId - GraphQL query id
+ * @param {string} operation - GraphQL operation name
+ * @param {Object} variables - Mutation variables
+ * @param {Object} [features] - Feature flags
+ * @returns {Promise<Object>} - The response data
+ */
+export const postGraphql = async (scraper, queryId, operation, variables, features) => {
+    const response = await requestApi(scraper, `${GRAPHQL_URL}/${queryId}/${operation}`, {
+        method: 'POST',
+        body: { variables, queryId, ...(features && { features }) }
+    });
+    if (response?.errors?.length > 0) {
+        throw twitterError({ body: response });
+    }
+    return response?.data;
+};
+
+// Tweet engagement actions, keyed by the name used in the API
+export const TWEET_ACTIONS = {
+    like: (scraper, tweetId) => scraper.likeTweet(tweetId),
+    unlike: (scraper, tweetId) => postGraphql(scraper, 'ZYKSe-w7KEslx3JhSIk5LA', 'UnfavoriteTweet', { tweet_id: tweetId }),
+    unretweet: (scraper, tweetId) => postGraphql(scraper, 'iQtK4dl5hBmXewYZuEOKVw', 'DeleteRetweet', { source_tweet_id: tweetId, dark_request: false }),
+    delete: (scraper, tweetId) => postGraphql(scraper, 'VaenaVgh5q5ih7kvyVjgtg', 'DeleteTweet', { tweet_id: tweetId, dark_request: false }),
+    bookmark: (scraper, tweetId) => postGraphql(scraper, 'aoDbu3RHznuiSkQ9aNM67Q', 'CreateBookmark', { tweet_id: tweetId }),
+    unbookmark: (scraper, tweetId) => postGraphql(scraper, 'Wlmlj2-xzyS1GN3a6cj-mQ', 'DeleteBookmark', { tweet_id: tweetId })
+};
+
+// Follow actions, keyed by the name used in the API
+export const USER_ACTIONS = {
+    follow: (scraper, username) => scraper.followUser(username),
+    unfollow: (scraper, username) => requestApi(scraper, 'https://api.twitter.com/1.1/friendships/destroy.json', {
+        method: 'POST',
+        form: { screen_name: username, include_profile_interstitial_type: '1', skip_status: 'true' }
+    })
+};
+
+const UPLOAD_URL = 'https://upload.twitter.com/1.1/media/upload.json';
+const UPLOAD_CHUNK_BYTES = 5 * 1024 * 1024;
+// Longest wait for Twitter to finish processing an uploaded video or GIF
+const MEDIA_PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Upload media with the chunked INIT/APPEND/FINALIZE flow and wait for processing
+ * @param {import('agent-twitter-client').Scraper} scraper - Logged-in scraper
+ * @param {Buffer} data - Media bytes
+ * @param {string} mediaType - MIME type
+ * @param {string} category - Media category, e.g. tweet_image or dm_video
+ * @returns {Promise<string>} - The uploaded media id
+ * @throws {UpstreamTimeoutError} When processing has not finished after MEDIA_PROCESSING_TIMEOUT_MS
+ */
+export const uploadMedia = async (scraper, data, mediaType, category) => {
+    const init = await requestApi(scraper, UPLOAD_URL, {
+        method: 'POST',
+        form: { command: 'INIT', media_type: mediaType, total_bytes: data.length, media_category: category }
+    });
+    const mediaId = init.media_id_string;
+
+    for (let offset = 0, segment = 0; offset < data.length; offset += UPLOAD_CHUNK_BYTES, segment++) {
+        const multipart = new FormData();
+        multipart.append('command', 'APPEND');
+        multipart.append('media_id', mediaId);
+        multipart.append('segment_index', String(segment));
+        multipart.append('media', new Blob([data.subarray(offset, offset + UPLOAD_CHUNK_BYTES)]));
+        await requestApi(scraper, UPLOAD_URL, { method: 'POST', multipart });
+    }
+
+    let result = await requestApi(scraper, UPLOAD_URL, {
+        method: 'POST',
+        form: { command: 'FINALIZE', media_id: mediaId }
+    });
+
+    // Videos and GIFs are processed asynchronously
+    const deadline = Date.now() + MEDIA_PROCESSING_TIMEOUT_MS;
+    while (result?.processing_info && ['pending', 'in_progress'].includes(result.processing_info.state)) {
+        const waitMs = (result.processing_info.check_after_secs || 1) * 1000;
+        if (Date.now() + waitMs > deadline) {
+            throw new UpstreamTimeoutError(
+                `Media processing did not finish within ${MEDIA_PROCESSING_TIMEOUT_MS / 60000} minutes`,
+                { processingInfo: result.processing_info }
+            );
+        }
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+        result = await requestApi(scraper, `${UPLOAD_URL}?command=STATUS&media_id=${mediaId}`);
+    }
+    if (result?.processing_info?.state === 'failed') {
+        throw new UpstreamError(result.processing_info.error?.message || 'Media processing failed', { processingInfo: result.processing_info });
+    }
+    return mediaId;
+};
+
+/**
+ * Fetch a page of messages in a direct message conversation, newest first
+ * @param {import('agent-twitter-client').Scraper} scraper - Logged-in scraper
+ * @param {string} conversationId - Conversation id
+ * @param {string} [cursor] - Cursor from a previous page
+ * @returns {Promise<{ messages: Object[], next: string|null }>}
+ */
+export const fetchDirectMessages = async (scraper, conversationId, cursor) => {
+    const params = new URLSearchParams({
+        context: 'FETCH_DM_CONVERSATION',
+        include_conversation_info: 'true',
+        dm_users: 'true',
+        ...(cursor && { max_id: cursor })
+    });
+    const response = await requestApi(scraper, `https://x.com/i/api/1.1/dm/conversation/${conversationId}.json?${params}`);
+    const timeline = response?.conversation_timeline || {};
+    const users = timeline.users || {};
+
+    const messages = (timeline.entries || [])
+        .filter(entry => entry.message)
+        .map(({ message }) => ({
+            id: message.message_data.id,
+            text: message.message_data.text,
+            senderId: message.message_data.sender_id,
+            senderScreenName: users[message.message_data.sender_id]?.screen_name,
+            recipientId: message.message_data.recipient_id,
+            createdAt: message.message_data.time,
+            mediaUrls: message.message_data.attachment
+                ? [message.message_data.attachment.photo?.media_url_https
+                    || message.message_data.attachment.video?.media_url_https
+                    || message.message_data.attachment.animated_gif?.media_url_https].filter(Boolean)
+                : []
+        }));
+
+    return {
+        messages,
+        next: timeline.status === 'HAS_MORE' ? timeline.min_entry_id : null
+    };
+};
+
+/**
+ * Send a direct message, optionally with an uploaded media attachment
+ * @param {import('agent-twitter-client').Scraper} scraper - Logged-in scraper
+ * @param {string} conversationId - Conversation id
+ * @param {string} [text] - Message text
+ * @param {string} [mediaId] - Id returned by uploadMedia
+ * @returns {Promise<Object>} - The raw response
+ */
+export const sendDirectMessage = (scraper, conversationId, text, mediaId) => {
+    return requestApi(scraper, 'https://x.com/i/api/1.1/dm/new2.json', {
+        method: 'POST',
+        body: {
+            conversation_id: conversationId,
+            recipient_ids: false,
+            request_id: crypto.randomUUID(),
+            text: text || '',
+            ...(mediaId && { media_id: mediaId }),
+            cards_platform: 'Web-12',
+            include_cards: 1,
+            include_quote_count: true,
+            dm_users: false
+        }
+    });
+};
+
+/**
+ * Set the alt text of an uploaded image
+ * @param {import('agent-twitter-client').Scraper} scraper - Logged-in scraper
+ * @param {string} mediaId - Id returned by uploadMedia
+ * @param {string} altText - Alt text
+ */
+export const setMediaAltText = (scraper, mediaId, altText) => {
+    return requestApi(scraper, 'https://x.com/i/api/1.1/media/metadata/create.json', {
+        method: 'POST',
+        body: { media_id: mediaId, alt_text: { text: altText } }
+    });
+};
+
+/**
+ * Create a tweet from already uploaded media
+ * @param {import('agent-twitter-client').Scraper} scraper - Logged-in scraper
+ * @param {Object} tweet
+ * @param {string} [tweet.text] - Tweet text
+ * @param {string} [tweet.replyToId] - Tweet to reply to
+ * @param {string} [tweet.quoteTweetId] - Tweet to quote
+ * @param {string[]} [tweet.mediaIds] - Ids returned by uploadMedia
+ * @returns {Promise<Object>} - The created tweet result
+ */
+export const createTweet = async (scraper, { text, replyToId, quoteTweetId, mediaIds = [] }) => {
+    const variables = {
+        tweet_text: text || '',
+        dark_request: false,
+        media: {
+            media_entities: mediaIds.map(mediaId => ({ media_id: mediaId, tagged_users: [] })),
+            possibly_sensitive: false
+        },
+        semantic_annotation_ids: [],
+        ...(replyToId && { reply: { in_reply_to_tweet_id: replyToId, exclude_reply_user_ids: [] } }),
+        ...(quoteTweetId && { attachment_url: `https://twitter.com/i/status/${quoteTweetId}` })
+    };
+    const data = await postGraphql(scraper, 'a1p9RWpkYKBjWv_I3WzS-A', 'CreateTweet', variables, TIMELINE_FEATURES);
+    return data?.create_tweet?.tweet_results?.result;
+};
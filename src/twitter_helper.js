@@ -1,11 +1,153 @@
+import { SearchMode } from 'agent-twitter-client';
 import { TwitterClient } from './client.js';
+import {
+    fetchTimelinePage,
+    fetchConversationPage,
+    fetchMentionsPage,
+    fetchDirectMessages,
+    sendDirectMessage,
+    uploadMedia,
+    setMediaAltText,
+    createTweet,
+    TWEET_ACTIONS,
+    USER_ACTIONS
+} from './twitter_api.js';
+import { mediaCategory } from './media.js';
+import { RateLimiter } from './rate_limiter.js';
+import { fromScraperTweet, fromGraphqlTweet } from './tweets.js';
+import { buildConversation, conversationDepths, decodeConversationCursor } from './conversation.js';
+import { toApiError, twitterError, NotFoundError, UpstreamError, UpstreamTimeoutError, ACCOUNT_ERROR_CODES } from './errors.js';
 
 export class TwitterHelper {
     static profiles = {};
     static THIRTY_MINUTES_MS = 30 * 60 * 1000;
+    static STALE_WHILE_REVALIDATE_MS = 10 * 60 * 1000;
+    static inFlight = new Map(); // In-flight upstream fetches, keyed by cache key and account
+    static BATCH_CONCURRENCY = 5;
+    // "Show more replies" cursors followed per conversation page
+    static MAX_SHOW_MORE = 5;
+
+    // Profile shape used in following/followers lists
+    static formatListProfile(profile) {
+        return {
+            id: profile.userId,
+            username: profile.username,
+            name: profile.name,
+            bio: profile.biography || '',
+            followersCount: profile.followersCount || 0,
+            followingCount: profile.followingCount || 0,
+            isVerified: profile.isVerified || false,
+            profileImageUrl: profile.avatar
+        };
+    }
+
+    // Profile shape returned for other users
+    static formatTargetProfile(userProfile, username) {
+        return {
+            id: userProfile.userId,
+            username,
+            screenName: userProfile.name || username,
+            bio: userProfile.biography || '',
+            followersCount: userProfile.followersCount,
+            followingCount: userProfile.followingCount,
+            tweetsCount: userProfile.tweetsCount,
+            isVerified: userProfile.isVerified,
+            isPrivate: userProfile.isPrivate,
+            joined: userProfile.joined,
+            location: userProfile.location || '',
+            website: userProfile.website || ''
+        };
+    }
 
     constructor() {
         this.client = new TwitterClient();
+        this.rateLimiter = new RateLimiter(this.client);
+        this.batchConcurrency = Number(process.env.BATCH_CONCURRENCY) || TwitterHelper.BATCH_CONCURRENCY;
+    }
+
+    /**
+     * Read through the cache with stale-while-revalidate, sharing one upstream fetch
+     * between identical concurrent requests for the same account
+     * @param {Object} credentials - Account making the request
+     * @param {string} key - Cache key
+     * @param {string} type - Cache type
+     * @param {Function} fetchData - Loads fresh data from Twitter
+     * @param {Object} options
+     * @param {{noCache?: boolean, maxAgeMs?: number}} [options.cache] - Freshness requested by the caller
+     * @param {Function} [options.shouldCache] - Whether fetched data is worth caching
+     * @param {number} [options.ttlMs] - How long cached data counts as fresh
+     * @param {string} [options.subject] - User, tweet or query the key belongs to, when the key also holds the page
+     */
+    async cachedRead(credentials, key, type, fetchData, { cache = {}, shouldCache = () => true, ttlMs = TwitterHelper.THIRTY_MINUTES_MS, subject } = {}) {
+        const refresh = () => this.coalesce(`${type}_${key}_${credentials.username}`, async () => {
+            const data = await fetchData();
+            if (shouldCache(data)) {
+                await this.client.setCachedData(key, type, data, ttlMs + TwitterHelper.STALE_WHILE_REVALIDATE_MS, credentials.username, subject);
+            }
+            return data;
+        });
+
+        if (!cache.noCache) {
+            const entry = await this.client.getCacheEntry(key, type);
+            const age = entry ? Date.now() - entry.timestamp : Infinity;
+            if (age <= (cache.maxAgeMs ?? ttlMs)) {
+                return entry.data;
+            }
+
+            // Serve slightly stale data right away and refresh it in the background,
+            // unless the caller asked for a maximum age
+            if (cache.maxAgeMs === undefined && age <= ttlMs + TwitterHelper.STALE_WHILE_REVALIDATE_MS) {
+                refresh().catch(async (error) => {
+                    console.error(`Error refreshing ${type} cache:`, error.message);
+                    await this.rateLimiter.recordError(credentials.username, error);
+                });
+                return entry.data;
+            }
+        }
+        return refresh();
+    }
+
+    // Run fetchData once for all concurrent callers with the same key
+    coalesce(key, fetchData) {
+        if (!TwitterHelper.inFlight.has(key)) {
+            TwitterHelper.inFlight.set(key, fetchData().finally(() => TwitterHelper.inFlight.delete(key)));
+        }
+        return TwitterHelper.inFlight.get(key);
+    }
+
+    /**
+     * Delete cached data matching every given filter, and the in-memory profiles it covers
+     * @param {Object} filter
+     * @param {string} [filter.type] - Cache type, e.g. search
+     * @param {string} [filter.key] - Username, user id, tweet id or query the entries are about, or a whole cache key
+     * @param {string} [filter.account] - Twitter account whose session fetched the data
+     * @returns {Promise<number>} - Number of cache entries deleted
+     */
+    async purgeCache({ type, key, account }) {
+        const deleted = await this.client.storage.purgeCache({ type, key, account });
+
+        // Profile entries are keyed by, and fetched with, the account itself
+        if (!type || type === 'profile') {
+            if (!key && !account) {
+                TwitterHelper.profiles = {};
+            } else if (!key || !account || key === account) {
+                delete TwitterHelper.profiles[key || account];
+            }
+        }
+        return deleted;
+    }
+
+    // Get the account's session once its rate limit for the endpoint class allows another call
+    async useClient(credentials, endpointClass) {
+        await this.rateLimiter.acquire(credentials.username, endpointClass);
+        return this.client.getClient(credentials);
+    }
+
+    // Convert a failure into an ApiError, pausing the account if Twitter rate limited it
+    async handleError(credentials, error, context) {
+        const apiError = toApiError(error, context);
+        await this.rateLimiter.recordError(credentials.username, apiError);
+        return apiError;
     }
 
     async getProfile(credentials) {
@@ -22,7 +164,7 @@ export class TwitterHelper {
                 return cachedProfile;
             }
 
-            const client = await this.client.getClient(credentials);
+            const client = await this.useClient(credentials, 'read');
             const userProfile = await client.getProfile(credentials.username);
             const profile = {
                 id: userProfile.userId,
@@ -33,11 +175,11 @@ export class TwitterHelper {
             };
 
             TwitterHelper.profiles[credentials.username] = profile;
-            await this.client.setCachedData(credentials.username, 'profile', profile);
+            await this.client.setCachedData(credentials.username, 'profile', profile, undefined, credentials.username);
             return profile;
         } catch (error) {
             console.error('Error getting profile:', error.message);
-            return { status: 500, error: `Failed to fetch profile: ${error.message}` };
+            throw await this.handleError(credentials, error, 'Failed to fetch profile');
         }
     }
 
@@ -49,170 +191,287 @@ export class TwitterHelper {
                 return cachedProfile;
             }
 
-            const client = await this.client.getClient(credentials);
+            const client = await this.useClient(credentials, 'read');
             const userProfile = await client.getProfile(targetUsername.replace('@', ''));
-
-            const profile = {
-                id: userProfile.userId,
-                username: targetUsername,
-                screenName: userProfile.name || targetUsername,
-                bio: userProfile.biography || '',
-                followersCount: userProfile.followersCount,
-                followingCount: userProfile.followingCount,
-                tweetsCount: userProfile.tweetsCount,
-                isVerified: userProfile.isVerified,
-                isPrivate: userProfile.isPrivate,
-                joined: userProfile.joined,
-                location: userProfile.location || '',
-                website: userProfile.website || ''
-            };
+            const profile = TwitterHelper.formatTargetProfile(userProfile, targetUsername);
 
             // Cache the profile
-            await this.client.setCachedData(targetUsername, 'target_profile', profile);
+            await this.client.setCachedData(targetUsername, 'target_profile', profile, undefined, credentials.username);
             return profile;
         } catch (error) {
             console.error('Error getting target profile:', error.message);
-            return { status: 500, error: `Failed to fetch target profile: ${error.message}` };
+            throw await this.handleError(credentials, error, 'Failed to fetch target profile');
         }
     }
 
-    async getTweet(credentials, tweetId) {
+    async getTweet(credentials, tweetId, cache = {}) {
         try {
-            const client = await this.client.getClient(credentials);
-            const tweet = await client.getTweet(tweetId);
-            
-            // Remove circular references using JSON.parse/stringify
-            return JSON.parse(JSON.stringify(tweet, (key, value) => {
-                // Skip circular reference properties that cause issues
-                if (key === 'inReplyToStatus' || key === 'thread') {
-                    return undefined;
+            return await this.cachedRead(credentials, tweetId, 'tweet', async () => {
+                const client = await this.useClient(credentials, 'read');
+                const tweet = await client.getTweet(tweetId);
+                if (!tweet) {
+                    throw new NotFoundError(`Tweet ${tweetId} not found`);
                 }
-                return value;
-            }));
+                return fromScraperTweet(tweet);
+            }, { cache });
         } catch (error) {
             console.error('Error getting tweet:', error.message);
-            return { status: 500, error: `Failed to fetch tweet: ${error.message}` };
+            throw await this.handleError(credentials, error, 'Failed to fetch tweet');
         }
     }
 
-    async getUserTweets(credentials, userId, count, useCache = true) {
+    /**
+     * Look up many items over one session. Fresh cache entries are served first and the rest
+     * are fetched with at most batchConcurrency calls in flight, each under the account's read
+     * rate limit. An item that fails gets its own error instead of failing the batch, except
+     * errors about the account itself (ACCOUNT_ERROR_CODES), which stop the batch and are thrown
+     * so a pool can retry it on another account. Items read before that are cached and not
+     * fetched again.
+     * @param {Object} credentials
+     * @param {string[]} keys - Usernames or tweet ids
+     * @param {Object} source
+     * @param {(key: string) => Promise<*>} source.getCached - Cached data for a key, or null
+     * @param {(client: import('agent-twitter-client').Scraper, key: string) => Promise<*>} source.fetchOne - Fetches and caches one key
+     * @param {string} source.context - Error message prefix for failed items
+     * @returns {Promise<Array<{ key: string, ok: boolean, cached?: boolean, data?: *, error?: Object }>>} - In the order of keys
+     */
+    async batchRead(credentials, keys, { getCached, fetchOne, context }) {
+        const results = await Promise.all(keys.map(async (key) => {
+            const data = await getCached(key);
+            return data ? { key, ok: true, cached: true, data } : null;
+        }));
+
+        const pending = keys.map((key, index) => ({ key, index })).filter(({ index }) => !results[index]);
+        if (pending.length === 0) return results;
+
+        // One session for the whole batch; failing to log in fails the batch
+        let client;
+        try {
+            client = await this.client.getClient(credentials);
+        } catch (error) {
+            throw await this.handleError(credentials, error, context);
+        }
+
+        let accountError = null;
+        const worker = async () => {
+            for (let item = pending.shift(); item && !accountError; item = pending.shift()) {
+                try {
+                    await this.rateLimiter.acquire(credentials.username, 'read');
+                    const data = await fetchOne(client, item.key);
+                    results[item.index] = { key: item.key, ok: true, cached: false, data };
+                } catch (error) {
+                    const apiError = await this.handleError(credentials, error, context);
+                    if (ACCOUNT_ERROR_CODES.includes(apiError.code)) {
+                        accountError = accountError || apiError;
+                    } else {
+                        results[item.index] = { key: item.key, ok: false, error: { ...apiError.toJSON(), status: apiError.status } };
+                    }
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.batchConcurrency, pending.length) }, worker));
+        if (accountError) throw accountError;
+        return results;
+    }
+
+    async getProfiles(credentials, usernames) {
+        return this.batchRead(credentials, usernames, {
+            getCached: (username) => this.client.getCachedData(username, 'target_profile'),
+            fetchOne: async (client, username) => {
+                const userProfile = await client.getProfile(username.replace('@', ''));
+                const profile = TwitterHelper.formatTargetProfile(userProfile, username);
+                await this.client.setCachedData(username, 'target_profile', profile, undefined, credentials.username);
+                return profile;
+            },
+            context: 'Failed to fetch target profile'
+        });
+    }
+
+    async getTweets(credentials, tweetIds) {
+        return this.batchRead(credentials, tweetIds, {
+            getCached: (tweetId) => this.client.getCachedData(tweetId, 'tweet', TwitterHelper.THIRTY_MINUTES_MS),
+            fetchOne: async (client, tweetId) => {
+                const tweet = await client.getTweet(tweetId);
+                if (!tweet) {
+                    throw new NotFoundError(`Tweet ${tweetId} not found`);
+                }
+                const normalized = fromScraperTweet(tweet);
+                await this.client.setCachedData(
+                    tweetId,
+                    'tweet',
+                    normalized,
+                    TwitterHelper.THIRTY_MINUTES_MS + TwitterHelper.STALE_WHILE_REVALIDATE_MS,
+                    credentials.username
+                );
+                return normalized;
+            },
+            context: 'Failed to fetch tweet'
+        });
+    }
+
+    /**
+     * Get a conversation as its root, the root author's self-thread and a tree of replies
+     * @param {Object} credentials
+     * @param {string} tweetId - Any tweet of the conversation
+     * @param {number} maxDepth - Deepest reply level to include
+     * @param {string} [cursor] - nextCursor from a previous page
+     */
+    async getConversation(credentials, tweetId, maxDepth, cursor) {
         try {
-            // Check cache if enabled
-            if (useCache) {
-                const cachedTweets = await this.client.getCachedData(userId, 'user_tweets', TwitterHelper.THIRTY_MINUTES_MS);
-                if (cachedTweets) {
-                    return cachedTweets;
+            const state = cursor ? decodeConversationCursor(cursor) : null;
+            const client = await this.useClient(credentials, 'read');
+
+            let rootId = state?.rootId;
+            let page = await fetchConversationPage(client, rootId || tweetId, state?.cursor);
+            if (!state) {
+                const focal = page.tweets.find(tweet => tweet.rest_id === tweetId);
+                if (!focal) {
+                    throw new NotFoundError(`Tweet ${tweetId} not found`);
+                }
+                // Replies are only listed under the focal tweet, so read the conversation from its root
+                rootId = focal.legacy?.conversation_id_str || tweetId;
+                if (rootId !== tweetId) {
+                    await this.rateLimiter.acquire(credentials.username, 'read');
+                    page = await fetchConversationPage(client, rootId);
                 }
             }
 
-            const client = await this.client.getClient(credentials);
-            const response = await client.getUserTweets(userId, count);
-            const tweets = response.tweets;
+            const normalize = (results) => results.filter(tweet => tweet.rest_id).map(tweet => fromGraphqlTweet(tweet));
+            const tweets = normalize(page.tweets);
+            const options = { rootId, threadIds: state?.threadIds, depths: state?.depths };
 
-            // Cache the new results if caching is enabled and we have valid data
-            if (useCache && tweets && tweets.length > 0) {
-                await this.client.setCachedData(userId, 'user_tweets', tweets, TwitterHelper.THIRTY_MINUTES_MS);
+            // Threads of replies are cut short behind "Show more replies"; expand those that
+            // end above maxDepth, since the hidden replies continue the thread one level deeper
+            const showMore = [...page.showMore];
+            for (let followed = 0; showMore.length > 0 && followed < TwitterHelper.MAX_SHOW_MORE;) {
+                const { cursor: moreCursor, afterId } = showMore.shift();
+                const depth = afterId ? conversationDepths(tweets, options).depthOf(afterId) : null;
+                if (depth === null || depth >= maxDepth) continue;
+
+                await this.rateLimiter.acquire(credentials.username, 'read');
+                const more = await fetchConversationPage(client, rootId, moreCursor);
+                tweets.push(...normalize(more.tweets));
+                showMore.push(...more.showMore);
+                followed++;
             }
 
-            return tweets;
+            return buildConversation(tweets, { ...options, maxDepth, next: page.next });
         } catch (error) {
-            console.error('Error getting user tweets:', error.message);
-            return { status: 500, error: `Failed to fetch user tweets: ${error.message}` };
+            console.error('Error getting conversation:', error.message);
+            throw await this.handleError(credentials, error, 'Failed to fetch conversation');
         }
     }
 
-    async fetchHomeTimeline(credentials, count, following = false, useCache = true) {
+    async getUserTweets(credentials, userId, count, cursor, cache = {}) {
         try {
-            const cacheKey = `${credentials.username}_${following ? 'following' : 'home'}_timeline`;
-            
-            // Check cache if enabled
-            if (useCache) {
-                const cachedTimeline = await this.client.getCachedData(cacheKey, 'timeline', TwitterHelper.THIRTY_MINUTES_MS);
-                if (cachedTimeline) {
-                    return cachedTimeline;
-                }
-            }
+            const cacheKey = `${userId}_${count}_${cursor || 'first'}`;
 
-            const client = await this.client.getClient(credentials);
-            const timeline = following
-                ? await client.fetchFollowingTimeline(count, [])
-                : await client.fetchHomeTimeline(count, []);
-
-            const formattedTimeline = timeline.map(tweet => ({
-                id: tweet.rest_id,
-                name: tweet.core?.user_results?.result?.legacy?.name,
-                username: tweet.core?.user_results?.result?.legacy?.screen_name,
-                text: tweet.legacy?.full_text,
-                inReplyToStatusId: tweet.legacy?.in_reply_to_status_id_str,
-                timestamp: new Date(tweet.legacy?.created_at).getTime() / 1000,
-                userId: tweet.legacy?.user_id_str,
-                conversationId: tweet.legacy?.conversation_id_str,
-                permanentUrl: `https://twitter.com/${tweet.core?.user_results?.result?.legacy?.screen_name}/status/${tweet.rest_id}`,
-                hashtags: tweet.legacy?.entities?.hashtags || [],
-                mentions: tweet.legacy?.entities?.user_mentions || [],
-                photos: tweet.legacy?.entities?.media
-                    ?.filter(media => media.type === "photo")
-                    .map(media => ({
-                        id: media.id_str,
-                        url: media.media_url_https,
-                        alt_text: media.alt_text
-                    })) || [],
-                urls: tweet.legacy?.entities?.urls || [],
-                videos: tweet.legacy?.entities?.media
-                    ?.filter(media => media.type === "video") || []
-            }));
+            return await this.cachedRead(credentials, cacheKey, 'user_tweets', async () => {
+                const client = await this.useClient(credentials, 'read');
+                const response = await client.getUserTweets(userId, count, cursor);
+                return {
+                    items: response.tweets.map(tweet => fromScraperTweet(tweet)),
+                    nextCursor: response.next || null
+                };
+            }, {
+                cache,
+                shouldCache: page => page.items?.length > 0,
+                subject: userId
+            });
+        } catch (error) {
+            console.error('Error getting user tweets:', error.message);
+            throw await this.handleError(credentials, error, 'Failed to fetch user tweets');
+        }
+    }
 
-            // Cache the results if enabled and we have valid data
-            if (useCache && formattedTimeline && formattedTimeline.length > 0) {
-                await this.client.setCachedData(cacheKey, 'timeline', formattedTimeline, TwitterHelper.THIRTY_MINUTES_MS);
-            }
+    async fetchHomeTimeline(credentials, count, following = false, cursor, cache = {}) {
+        try {
+            const cacheKey = `${credentials.username}_${following ? 'following' : 'home'}_timeline_${count}_${cursor || 'first'}`;
+
+            return await this.cachedRead(credentials, cacheKey, 'timeline', async () => {
+                const client = await this.useClient(credentials, 'read');
+                const timeline = await fetchTimelinePage(client, count, following, cursor);
 
-            return formattedTimeline;
+                return {
+                    // Tombstones of deleted or withheld tweets have no id
+                    items: timeline.tweets.filter(tweet => tweet.rest_id).map(tweet => fromGraphqlTweet(tweet)),
+                    nextCursor: timeline.next || null
+                };
+            }, {
+                cache,
+                shouldCache: page => page.items.length > 0,
+                subject: credentials.username
+            });
         } catch (error) {
             console.error('Error fetching home timeline:', error.message);
-            return { status: 500, error: `Failed to fetch home timeline: ${error.message}` };
+            throw await this.handleError(credentials, error, 'Failed to fetch home timeline');
         }
     }
 
-    async searchTweets(credentials, query, maxTweets, searchMode = SearchMode.Latest, cursor, useCache = true) {
+    // Tweets mentioning the logged-in account, newest first; never cached so polling sees new mentions
+    async getMentions(credentials, count, cursor) {
         try {
-            const cacheKey = `${query}_${searchMode}_${maxTweets}`;
-            
-            // Check cache if enabled
-            if (useCache && !cursor) { // Only use cache for initial searches, not paginated ones
-                const cachedResults = await this.client.getCachedData(cacheKey, 'search', TwitterHelper.THIRTY_MINUTES_MS);
-                if (cachedResults) {
-                    return cachedResults;
-                }
-            }
-
-            const client = await this.client.getClient(credentials);
-            const result = await Promise.race([
-                client.fetchSearchTweets(query, maxTweets, searchMode, cursor),
-                new Promise((resolve) => setTimeout(() => resolve({ tweets: [] }), 15000))
-            ]);
+            const client = await this.useClient(credentials, 'read');
+            const page = await fetchMentionsPage(client, count, cursor);
+            return {
+                items: page.tweets.map(tweet => fromGraphqlTweet(tweet)),
+                nextCursor: page.next || null
+            };
+        } catch (error) {
+            console.error('Error getting mentions:', error.message);
+            throw await this.handleError(credentials, error, 'Failed to fetch mentions');
+        }
+    }
 
-            // Cache the results if enabled, not paginated, and we have valid data
-            if (useCache && !cursor && result?.tweets && result.tweets.length > 0) {
-                await this.client.setCachedData(cacheKey, 'search', result, TwitterHelper.THIRTY_MINUTES_MS);
-            }
+    async searchTweets(credentials, query, maxTweets, searchMode = SearchMode.Latest, cursor, cache = {}) {
+        try {
+            const cacheKey = `${query}_${searchMode}_${maxTweets}_${cursor || 'first'}`;
 
-            return result ?? { tweets: [] };
+            return await this.cachedRead(credentials, cacheKey, 'search', async () => {
+                const client = await this.useClient(credentials, 'search');
+                let timer;
+                let result;
+                try {
+                    result = await Promise.race([
+                        client.fetchSearchTweets(query, maxTweets, searchMode, cursor),
+                        new Promise((resolve, reject) => {
+                            timer = setTimeout(
+                                () => reject(new UpstreamTimeoutError('Search timed out after 15 seconds')),
+                                15000
+                            );
+                        })
+                    ]);
+                } finally {
+                    clearTimeout(timer);
+                }
+                return {
+                    ...result,
+                    tweets: (result?.tweets || []).map(tweet => fromScraperTweet(tweet))
+                };
+            }, {
+                cache,
+                shouldCache: result => result.tweets?.length > 0,
+                subject: query
+            });
         } catch (error) {
             console.error('Error searching tweets:', error.message);
-            return { status: 500, error: `Failed to search tweets: ${error.message}` };
+            throw await this.handleError(credentials, error, 'Failed to search tweets');
         }
     }
 
     async sendTweet(credentials) {
         try {
-            const client = await this.client.getClient(credentials);
+            const client = await this.useClient(credentials, 'post');
             const {text, reply_to_id, quote_tweet_id, mediaData} = credentials;
             let standardTweetResult;
             if (quote_tweet_id && !text){
                 await client.retweet(quote_tweet_id);
                 return {'retweet': true}
             }
+            else if (mediaData?.some(media => media.altText)) {
+                // agent-twitter-client cannot set alt text, so upload and create the tweet directly
+                return await this.sendTweetWithAltText(client, text, reply_to_id, quote_tweet_id, mediaData);
+            }
             else if (quote_tweet_id) {
                 standardTweetResult = await client.sendQuoteTweet(text, quote_tweet_id, {
                     mediaData: mediaData || []
@@ -223,18 +482,48 @@ export class TwitterHelper {
             const body = await standardTweetResult.json();
             if (!body?.data?.create_tweet?.tweet_results?.result) {
                 console.error("Error sending tweet; Bad response:", body);
-                return { status: 500, error: body.errors[0].message };
+                throw body?.errors?.length > 0
+                    ? twitterError({ body })
+                    : new UpstreamError('Tweet was not created', { body });
             }
             return body.data.create_tweet.tweet_results.result;
         } catch (error) {
             console.error('Error sending tweet:', error.message);
-            return { status: 500, error: error.message };
+            throw await this.handleError(credentials, error, 'Failed to send tweet');
+        }
+    }
+
+    async sendTweetWithAltText(client, text, replyToId, quoteTweetId, mediaData) {
+        const mediaIds = [];
+        for (const media of mediaData) {
+            const mediaId = await uploadMedia(client, media.data, media.mediaType, mediaCategory(media.mediaType));
+            if (media.altText) {
+                await setMediaAltText(client, mediaId, media.altText);
+            }
+            mediaIds.push(mediaId);
+        }
+
+        const result = await createTweet(client, { text, replyToId, quoteTweetId, mediaIds });
+        if (!result) {
+            throw new UpstreamError('Tweet was not created');
+        }
+        return result;
+    }
+
+    async engageTweet(credentials, tweetId, action) {
+        try {
+            const client = await this.useClient(credentials, 'post');
+            await TWEET_ACTIONS[action](client, tweetId);
+            return { success: true, action, tweetId };
+        } catch (error) {
+            console.error(`Error performing ${action} on tweet:`, error.message);
+            throw await this.handleError(credentials, error, `Failed to ${action} tweet`);
         }
     }
 
     async sendTweetWithPoll(credentials, text, options, durationMinutes = 120) {
         try {
-            const client = await this.client.getClient(credentials);
+            const client = await this.useClient(credentials, 'post');
             return await client.sendTweetV2(text, undefined, {
                 poll: {
                     options: options.map(label => ({ label })),
@@ -243,44 +532,121 @@ export class TwitterHelper {
             });
         } catch (error) {
             console.error('Error sending tweet with poll:', error.message);
-            return { status: 500, error: `Failed to send tweet with poll: ${error.message}` };
+            throw await this.handleError(credentials, error, 'Failed to send tweet with poll');
         }
     }
 
-    async getFollowing(credentials, userId, count = 100) {
+    async getFollowing(credentials, userId, count = 100, cursor) {
         try {
+            const cacheKey = `${userId}_${count}_${cursor || 'first'}`;
+
             // Check MongoDB cache
-            const cachedFollowing = await this.client.getCachedData(userId, 'following');
+            const cachedFollowing = await this.client.getCachedData(cacheKey, 'following');
             if (cachedFollowing) {
                 return cachedFollowing;
             }
 
-            const client = await this.client.getClient(credentials);
-            const following = [];
-            
-            // Get the AsyncGenerator from the client
-            const followingGenerator = client.getFollowing(userId, count);
-            
-            // Iterate through the generator and collect profiles
-            for await (const profile of followingGenerator) {
-                following.push({
-                    id: profile.userId,
-                    username: profile.username,
-                    name: profile.name,
-                    bio: profile.biography || '',
-                    followersCount: profile.followersCount || 0,
-                    followingCount: profile.followingCount || 0,
-                    isVerified: profile.isVerified || false,
-                    profileImageUrl: profile.avatar
-                });
-            }
+            const client = await this.useClient(credentials, 'read');
+            const response = await client.fetchProfileFollowing(userId, count, cursor);
+            const following = {
+                items: response.profiles.map(TwitterHelper.formatListProfile),
+                nextCursor: response.next || null
+            };
             
-            // Cache the following list
-            await this.client.setCachedData(userId, 'following', following);
+            // Cache the following page
+            await this.client.setCachedData(cacheKey, 'following', following, undefined, credentials.username, userId);
             return following;
         } catch (error) {
             console.error('Error getting following:', error.message);
-            return { status: 500, error: `Failed to fetch following users: ${error.message}` };
+            throw await this.handleError(credentials, error, 'Failed to fetch following users');
+        }
+    }
+
+    async getFollowers(credentials, userId, count = 100, cursor) {
+        try {
+            const cacheKey = `${userId}_${count}_${cursor || 'first'}`;
+
+            // Check MongoDB cache
+            const cachedFollowers = await this.client.getCachedData(cacheKey, 'followers');
+            if (cachedFollowers) {
+                return cachedFollowers;
+            }
+
+            const client = await this.useClient(credentials, 'read');
+            const response = await client.fetchProfileFollowers(userId, count, cursor);
+            const followers = {
+                items: response.profiles.map(TwitterHelper.formatListProfile),
+                nextCursor: response.next || null
+            };
+
+            // Cache the followers page
+            await this.client.setCachedData(cacheKey, 'followers', followers, undefined, credentials.username, userId);
+            return followers;
+        } catch (error) {
+            console.error('Error getting followers:', error.message);
+            throw await this.handleError(credentials, error, 'Failed to fetch followers');
+        }
+    }
+
+    async engageUser(credentials, username, action) {
+        try {
+            const client = await this.useClient(credentials, 'post');
+            await USER_ACTIONS[action](client, username.replace('@', ''));
+            return { success: true, action, username };
+        } catch (error) {
+            console.error(`Error performing ${action} on user:`, error.message);
+            throw await this.handleError(credentials, error, `Failed to ${action} user`);
+        }
+    }
+
+    async getDirectMessageConversations(credentials) {
+        try {
+            const client = await this.useClient(credentials, 'read');
+            const me = await client.getProfile(credentials.username);
+            const inbox = await client.getDirectMessageConversations(me.userId);
+
+            return inbox.conversations.map(conversation => ({
+                conversationId: conversation.conversationId,
+                participants: conversation.participants,
+                lastMessage: conversation.messages.at(-1) || null
+            }));
+        } catch (error) {
+            console.error('Error getting DM conversations:', error.message);
+            throw await this.handleError(credentials, error, 'Failed to fetch DM conversations');
+        }
+    }
+
+    async getDirectMessages(credentials, conversationId, cursor) {
+        try {
+            const client = await this.useClient(credentials, 'read');
+            const page = await fetchDirectMessages(client, conversationId, cursor);
+            return {
+                items: page.messages,
+                nextCursor: page.next
+            };
+        } catch (error) {
+            console.error('Error getting DMs:', error.message);
+            throw await this.handleError(credentials, error, 'Failed to fetch direct messages');
+        }
+    }
+
+    async sendDirectMessage(credentials, conversationId, text, media) {
+        try {
+            const client = await this.useClient(credentials, 'post');
+            const mediaId = media
+                ? await uploadMedia(client, media.data, media.mediaType, mediaCategory(media.mediaType, 'dm'))
+                : undefined;
+
+            const response = await sendDirectMessage(client, conversationId, text, mediaId);
+            const event = response?.entries?.[0]?.message;
+            return {
+                success: true,
+                conversationId,
+                messageId: event?.message_data?.id || event?.id || null
+            };
+        } catch (error) {
+            console.error('Error sending DM:', error.message);
+            throw await this.handleError(credentials, error, 'Failed to send direct message');
         }
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,421 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { SearchMode } from 'agent-twitter-client';
+import { toApiError, ValidationError } from './errors.js';
+
+export const WATCH_TYPES = ['user', 'search'];
+
+export const DELIVERY_STATUS = {
+    PENDING: 'pending',
+    DELIVERED: 'delivered',
+    FAILED: 'failed'
+};
+
+/**
+ * Sign a webhook body with the watch's secret
+ * @param {string} secret
+ * @param {string} body - Raw JSON body as sent
+ * @returns {string} - Value of the X-Webhook-Signature header, sha256=<hex>
+ */
+export const signPayload = (secret, body) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+// Loopback, private, link-local, shared, multicast and reserved ranges callbacks may not reach
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+// IPv4-mapped addresses are checked as IPv4, see isPrivateAddress
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Whether an address is one callbacks may not reach, such as 127.0.0.1, 10.1.2.3 or fe80::1
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export const isPrivateAddress = (address) => {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    const mappedHex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+    if (mappedHex) {
+        const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+        return isPrivateAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+    }
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+// dns.lookup for callback requests that refuses private addresses when the socket connects,
+// so a host cannot resolve to a public address when checked and a private one when sent
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.some(({ address }) => isPrivateAddress(address))) {
+            return callback(new Error(`Callback host ${hostname} resolves to a private address`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+// Tweet ids are too large for Number, so compare them as BigInt
+const isNewer = (id, lastSeenId) => !lastSeenId || BigInt(id) > BigInt(lastSeenId);
+const byId = (a, b) => (BigInt(a.id) < BigInt(b.id) ? -1 : 1);
+
+/**
+ * Watches a user's tweets or a search query and POSTs new tweets to a callback URL.
+ * Watches live in the watches collection with the last tweet id seen; each batch of new
+ * tweets becomes a signed delivery in webhook_deliveries, retried with exponential backoff.
+ */
+export class WebhookWatcher {
+    static POLL_INTERVAL_MS = 15 * 1000;
+    static DEFAULT_WATCH_INTERVAL_MS = 60 * 1000;
+    static MIN_WATCH_INTERVAL_MS = 30 * 1000;
+    static RETRY_BASE_MS = 30 * 1000;
+    static DELIVERY_TIMEOUT_MS = 10 * 1000;
+    static DELIVERY_LEASE_MS = 5 * 60 * 1000;
+    static FETCH_COUNT = 20;
+
+    constructor(twitterHelper, accountStore) {
+        this.helper = twitterHelper;
+        this.client = twitterHelper.client;
+        this.accounts = accountStore;
+        this.watchCollection = 'watches';
+        this.deliveryCollection = 'webhook_deliveries';
+        this.maxAttempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+        // Only for development, where the receiver runs on the same machine or network
+        this.allowPrivateCallbacks = process.env.WEBHOOK_ALLOW_PRIVATE_CALLBACKS === 'true';
+        this.timer = null;
+        this.running = false;
+    }
+
+    // Strip the signing secret before returning a watch to callers
+    toPublic(document) {
+        return {
+            id: document._id,
+            type: document.type,
+            target: document.target,
+            callbackUrl: document.callbackUrl,
+            username: document.username,
+            intervalMs: document.intervalMs,
+            lastSeenId: document.lastSeenId || null,
+            lastPolledAt: document.lastPolledAt || null,
+            nextPollAt: document.nextPollAt,
+            lastError: document.lastError || null,
+            errorCode: document.errorCode || null,
+            createdAt: document.createdAt
+        };
+    }
+
+    /**
+     * Check that a callback URL resolves to public addresses only
+     * @param {URL} url
+     * @throws {ValidationError} - When the host does not resolve or resolves to a loopback, private or link-local address
+     */
+    async checkCallbackUrl(url) {
+        if (this.allowPrivateCallbacks) return;
+        const hostname = url.hostname.replace(/^\[|\]$/g, '');
+        let addresses;
+        try {
+            addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+        } catch {
+            throw new ValidationError(`callbackUrl host ${hostname} does not resolve`);
+        }
+        if (addresses.some(({ address }) => isPrivateAddress(address))) {
+            throw new ValidationError('callbackUrl must not point to a loopback, private or link-local address');
+        }
+    }
+
+    // The signing secret is only returned here, when the watch is created
+    async create({ type, target, callbackUrl, accountId, username, intervalMs = WebhookWatcher.DEFAULT_WATCH_INTERVAL_MS }) {
+        const collection = await this.client.getCollection(this.watchCollection);
+        const now = new Date();
+        const document = {
+            _id: `wat_${crypto.randomBytes(12).toString('hex')}`,
+            type,
+            target,
+            callbackUrl,
+            accountId,
+            username,
+            secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+            intervalMs: Math.max(WebhookWatcher.MIN_WATCH_INTERVAL_MS, intervalMs),
+            lastSeenId: null,
+            nextPollAt: now,
+            createdAt: now
+        };
+
+        await collection.createIndex({ nextPollAt: 1 });
+        await collection.insertOne(document);
+        return { ...this.toPublic(document), secret: document.secret };
+    }
+
+    async get(watchId) {
+        const collection = await this.client.getCollection(this.watchCollection);
+        const document = await collection.findOne({ _id: watchId });
+        return document ? this.toPublic(document) : null;
+    }
+
+    /**
+     * List watches, optionally only those polled by the given usernames
+     * @param {Object} [filter]
+     * @param {string[]} [filter.usernames]
+     */
+    async list({ usernames } = {}) {
+        const collection = await this.client.getCollection(this.watchCollection);
+        const query = usernames ? { username: { $in: usernames } } : {};
+        const documents = await collection.find(query).sort({ createdAt: 1 }).toArray();
+        return documents.map(document => this.toPublic(document));
+    }
+
+    // Delete a watch along with its deliveries that are still queued
+    async remove(watchId) {
+        const collection = await this.client.getCollection(this.watchCollection);
+        const result = await collection.deleteOne({ _id: watchId });
+        if (result.deletedCount === 0) return false;
+
+        const deliveries = await this.client.getCollection(this.deliveryCollection);
+        await deliveries.deleteMany({ watchId, status: DELIVERY_STATUS.PENDING });
+        return true;
+    }
+
+    async listDeliveries(watchId, limit = 50) {
+        const collection = await this.client.getCollection(this.deliveryCollection);
+        const documents = await collection
+            .find({ watchId }, { projection: { payload: 0 } })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .toArray();
+        return documents.map(({ _id, ...delivery }) => ({ id: _id, ...delivery }));
+    }
+
+    // Latest tweets of the watched user or search
+    async fetchLatest(watch, credentials) {
+        const fresh = { noCache: true };
+        if (watch.type === 'search') {
+            const result = await this.helper.searchTweets(credentials, watch.target, WebhookWatcher.FETCH_COUNT, SearchMode.Latest, undefined, fresh);
+            return result.tweets || [];
+        }
+
+        // Handles are resolved to a user id once and kept on the watch
+        let userId = watch.userId || (/^\d+$/.test(watch.target) ? watch.target : null);
+        if (!userId) {
+            userId = (await this.helper.getTargetProfile(credentials, watch.target)).id;
+            const collection = await this.client.getCollection(this.watchCollection);
+            await collection.updateOne({ _id: watch._id }, { $set: { userId } });
+        }
+        const page = await this.helper.getUserTweets(credentials, userId, WebhookWatcher.FETCH_COUNT, undefined, fresh);
+        return page.items || [];
+    }
+
+    /**
+     * Fetch the watch's latest tweets and queue a delivery for those newer than the last seen id.
+     * The first poll only records where the watch starts, so existing tweets are not sent.
+     */
+    async poll(watch) {
+        const collection = await this.client.getCollection(this.watchCollection);
+        try {
+            const credentials = await this.accounts.resolveCredentials(watch.accountId);
+            if (!credentials) {
+                throw new Error(`Account ${watch.accountId} not found`);
+            }
+
+            const tweets = (await this.fetchLatest(watch, credentials)).filter(tweet => tweet.id).sort(byId);
+            const newTweets = tweets.filter(tweet => isNewer(tweet.id, watch.lastSeenId));
+            const lastSeenId = newTweets.length > 0 ? newTweets[newTweets.length - 1].id : watch.lastSeenId;
+
+            if (watch.startedAt && newTweets.length > 0) {
+                await this.enqueue(watch, newTweets);
+            }
+            await collection.updateOne(
+                { _id: watch._id },
+                {
+                    $set: {
+                        lastSeenId,
+                        startedAt: watch.startedAt || new Date(),
+                        lastPolledAt: new Date(),
+                        lastError: null,
+                        errorCode: null
+                    }
+                }
+            );
+        } catch (error) {
+            const { message, code } = toApiError(error);
+            console.error(`Error polling watch ${watch._id}:`, message);
+            await this.helper.rateLimiter.recordError(watch.username, error);
+            await collection.updateOne({ _id: watch._id }, { $set: { lastPolledAt: new Date(), lastError: message, errorCode: code } });
+        }
+    }
+
+    async enqueue(watch, tweets) {
+        const collection = await this.client.getCollection(this.deliveryCollection);
+        const now = new Date();
+        const deliveryId = `dlv_${crypto.randomBytes(12).toString('hex')}`;
+
+        await collection.createIndex({ status: 1, nextAttemptAt: 1 });
+        await collection.insertOne({
+            _id: deliveryId,
+            watchId: watch._id,
+            payload: {
+                id: deliveryId,
+                watchId: watch._id,
+                type: watch.type,
+                target: watch.target,
+                tweets
+            },
+            tweetCount: tweets.length,
+            status: DELIVERY_STATUS.PENDING,
+            attempts: 0,
+            nextAttemptAt: now,
+            createdAt: now
+        });
+    }
+
+    /**
+     * POST a payload to the watch's callback URL, signed with its secret.
+     * The address is checked again when connecting and redirects are not followed, so a
+     * callback cannot be pointed at a private address after the watch was created.
+     * @throws {Error} - When the callback does not answer with a 2xx status in time
+     */
+    async send(watch, payload) {
+        const url = new URL(watch.callbackUrl);
+        await this.checkCallbackUrl(url);
+
+        const body = JSON.stringify(payload);
+        const status = await new Promise((resolve, reject) => {
+            const request = (url.protocol === 'https:' ? https : http).request(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body),
+                    'X-Webhook-Id': payload.id,
+                    'X-Webhook-Signature': signPayload(watch.secret, body)
+                },
+                signal: AbortSignal.timeout(WebhookWatcher.DELIVERY_TIMEOUT_MS),
+                ...(!this.allowPrivateCallbacks && { lookup: publicLookup })
+            }, (response) => {
+                response.resume();
+                resolve(response.statusCode);
+            });
+            request.on('error', reject);
+            request.end(body);
+        });
+        if (status < 200 || status >= 300) {
+            throw new Error(`Callback responded with status ${status}`);
+        }
+        return status;
+    }
+
+    // Send a queued delivery, scheduling a retry with exponential backoff if it fails
+    async deliver(delivery) {
+        const collection = await this.client.getCollection(this.deliveryCollection);
+        const watches = await this.client.getCollection(this.watchCollection);
+        const attempts = delivery.attempts + 1;
+        const now = new Date();
+
+        try {
+            const watch = await watches.findOne({ _id: delivery.watchId });
+            if (!watch) {
+                throw new Error(`Watch ${delivery.watchId} was deleted`);
+            }
+            const responseStatus = await this.send(watch, delivery.payload);
+            await collection.updateOne(
+                { _id: delivery._id },
+                { $set: { status: DELIVERY_STATUS.DELIVERED, attempts, responseStatus, deliveredAt: now, lastError: null } }
+            );
+        } catch (error) {
+            console.error(`Error delivering webhook ${delivery._id} (attempt ${attempts}):`, error.message);
+            const failed = attempts >= this.maxAttempts;
+            await collection.updateOne(
+                { _id: delivery._id },
+                {
+                    $set: {
+                        status: failed ? DELIVERY_STATUS.FAILED : DELIVERY_STATUS.PENDING,
+                        attempts,
+                        lastError: error.message,
+                        nextAttemptAt: new Date(now.getTime() + WebhookWatcher.RETRY_BASE_MS * 2 ** (attempts - 1))
+                    }
+                }
+            );
+        }
+    }
+
+    // Send a signed test payload without tweets, to check the receiver and its signature check
+    async test(watchId) {
+        const collection = await this.client.getCollection(this.watchCollection);
+        const watch = await collection.findOne({ _id: watchId });
+        if (!watch) return null;
+
+        const payload = {
+            id: `dlv_test_${crypto.randomBytes(6).toString('hex')}`,
+            watchId: watch._id,
+            type: watch.type,
+            target: watch.target,
+            test: true,
+            tweets: []
+        };
+        try {
+            const responseStatus = await this.send(watch, payload);
+            return { delivered: true, responseStatus };
+        } catch (error) {
+            return { delivered: false, error: error.message };
+        }
+    }
+
+    // Atomically claim a watch that is due, pushing its next poll forward
+    async claimNextWatch() {
+        const collection = await this.client.getCollection(this.watchCollection);
+        const now = new Date();
+        return collection.findOneAndUpdate(
+            { nextPollAt: { $lte: now } },
+            [{ $set: { nextPollAt: { $add: [now, '$intervalMs'] } } }],
+            { sort: { nextPollAt: 1 } }
+        );
+    }
+
+    // Atomically claim a delivery that is due, leasing it so other containers skip it while it is sent
+    async claimNextDelivery() {
+        const collection = await this.client.getCollection(this.deliveryCollection);
+        const now = new Date();
+        return collection.findOneAndUpdate(
+            { status: DELIVERY_STATUS.PENDING, nextAttemptAt: { $lte: now } },
+            { $set: { nextAttemptAt: new Date(now.getTime() + WebhookWatcher.DELIVERY_LEASE_MS) } },
+            { sort: { nextAttemptAt: 1 } }
+        );
+    }
+
+    async runOnce() {
+        if (this.running) return;
+        this.running = true;
+        try {
+            let watch;
+            while ((watch = await this.claimNextWatch())) {
+                await this.poll(watch);
+            }
+            let delivery;
+            while ((delivery = await this.claimNextDelivery())) {
+                await this.deliver(delivery);
+            }
+        } catch (error) {
+            console.error('Error running webhook watcher:', error.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    start(intervalMs = WebhookWatcher.POLL_INTERVAL_MS) {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.runOnce(), intervalMs);
+        console.log(`Webhook watcher running every ${intervalMs}ms`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}